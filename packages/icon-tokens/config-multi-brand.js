@@ -2,15 +2,61 @@
 const fs = require('fs');
 const path = require('path');
 const { BrandManager } = require('./src/utils/brand-manager');
+const { TokenManager } = require('./src/utils/token-manager');
+const { SvgOptimizer } = require('./src/utils/svg-optimizer');
+const { FontGenerator } = require('./src/utils/font-generator');
+const { RasterGenerator } = require('./src/utils/raster-generator');
+const { BuildCache } = require('./src/utils/build-cache');
+const { ProjectConfig } = require('./src/utils/project-config');
+const { SvgLinter } = require('./src/utils/svg-linter');
+const { VectorDrawableConverter } = require('./src/utils/vector-drawable');
+const { toSvgDataUri, generateMaskCss, generateScssMap, generateLessMap } = require('./src/utils/css-icons');
+const { generateCatalogHtml } = require('./src/utils/icon-catalog');
+const { parseSvg, stringifyNode, walkElements, escapeXml, parseViewBox } = require('./src/utils/svg-parser');
+const {
+  FILE_HEADER,
+  createDocComment,
+  getDeprecationDocLines,
+  javascriptIconsFormat,
+  typescriptIconsDeclarationsFormat
+} = require('./src/utils/icon-formats');
+
+// What each platform writes, relative to the brand's output directory. A
+// platform's outputs are removed before it is rebuilt, so files of deleted
+// icons don't linger.
+const PLATFORM_OUTPUTS = {
+  svg: ['svg', 'types/index.d.ts'],
+  png: ['png', 'webp', 'avif', 'rasters.json'],
+  font: ['fonts'],
+  css: ['css'],
+  webcomponent: ['webcomponents', 'types/webcomponents.d.ts'],
+  react: ['react', 'types/react.d.ts'],
+  vue: ['vue', 'types/vue.d.ts'],
+  svelte: ['svelte', 'types/svelte.d.ts'],
+  sprite: ['sprite', 'types/sprite.d.ts'],
+  android: ['android'],
+  ios: ['ios']
+};
+
+// The catalog spans all brands, so it has no per-brand outputs
+const PLATFORMS = ['all', ...Object.keys(PLATFORM_OUTPUTS), 'catalog'];
 
 class MultiBrandBuilder {
   constructor(options = {}) {
-    this.assetsDir = options.assetsDir || path.join(process.cwd(), 'assets');
-    this.tokensDir = options.tokensDir || path.join(process.cwd(), 'tokens');
-    this.distDir = options.distDir || path.join(process.cwd(), 'dist');
+    this.config = options.config || ProjectConfig.load({ configPath: options.configPath });
+    this.assetsDir = options.assetsDir || this.config.assetsDir;
+    this.tokensDir = options.tokensDir || this.config.tokensDir;
+    this.distDir = options.distDir || this.config.distDir;
     this.platform = options.platform || 'all';
+    if (!PLATFORMS.includes(this.platform)) {
+      throw new Error(`Unknown platform '${this.platform}', expected one of: ${PLATFORMS.join(', ')}`);
+    }
     this.brands = options.brands || [];
     this.verbose = options.verbose || false;
+    this.optimizeOptions = { ...this.config.getOptimizerOptions(), ...options.optimize };
+    this.force = options.force || false;
+    this.lint = options.lint !== false;
+    this.cache = new BuildCache(path.join(this.distDir, '.build-cache.json'), { force: this.force });
     
     this.brandManager = new BrandManager(this.assetsDir);
     this.buildStats = {
@@ -18,6 +64,21 @@ class MultiBrandBuilder {
       endTime: null,
       totalBrands: 0,
       totalIcons: 0,
+      optimization: {
+        originalBytes: 0,
+        optimizedBytes: 0,
+        icons: []
+      },
+      lint: {
+        errors: 0,
+        warnings: 0
+      },
+      cache: {
+        skippedBrands: 0,
+        skippedPlatforms: 0,
+        skippedIcons: 0,
+        prunedFiles: 0
+      },
       errors: []
     };
   }
@@ -53,6 +114,13 @@ class MultiBrandBuilder {
     } catch (error) {
       throw new Error(`Failed to load webfont: ${error.message}`);
     }
+    
+    try {
+      this.svgOptimizer = new SvgOptimizer(this.optimizeOptions);
+      this.log(this.svgOptimizer.enabled ? '✅ svgo loaded' : 'ℹ️ svgo optimization disabled');
+    } catch (error) {
+      throw new Error(`Failed to load svgo: ${error.message}`);
+    }
   }
   
   async validateSetup() {
@@ -71,6 +139,8 @@ class MultiBrandBuilder {
       fs.writeFileSync(tokensFile, JSON.stringify({ icon: {} }, null, 2));
     }
     
+    this.tokenManager = new TokenManager(this.tokensDir);
+    
     if (!fs.existsSync(this.distDir)) {
       fs.mkdirSync(this.distDir, { recursive: true });
       this.log(`Created output directory: ${this.distDir}`, 'success');
@@ -106,9 +176,40 @@ class MultiBrandBuilder {
       this.buildStats.totalBrands = brandsToProcess.length;
       this.log(`Found ${brandsToProcess.length} brands to process: ${brandsToProcess.join(', ')}`);
       
+      // Broken sources fail the build before anything is written
+      if (this.lint && !this.lintIcons(brandsToProcess)) {
+        return false;
+      }
+      
+      // The catalog reads the sources directly and needs no brand outputs
+      if (this.platform === 'catalog') {
+        this.buildStats.totalIcons = await this.generateCatalog();
+        
+        this.buildStats.endTime = new Date();
+        this.generateBuildReport(brandsToProcess.length, brandsToProcess.length);
+        return true;
+      }
+      
+      this.cache.load();
+      if (this.force) {
+        this.log('Build cache bypassed (--force)');
+      }
+      
       const buildPromises = brandsToProcess.map(brand => this.buildBrand(brand));
       const results = await Promise.allSettled(buildPromises);
       
+      fs.rmSync(this.getOptimizedDir(), { recursive: true, force: true });
+      
+      // Brands whose assets are gone; only when all brands were built
+      if (this.brands.length === 0) {
+        this.pruneRemovedBrands(brandsToProcess);
+      }
+      this.cache.save();
+      
+      if (this.platform === 'all') {
+        await this.generateCatalog();
+      }
+      
       // Check results
       let successCount = 0;
       results.forEach((result, index) => {
@@ -136,44 +237,76 @@ class MultiBrandBuilder {
     }
   }
   
+  lintIcons(brandNames) {
+    this.log('Linting SVG sources...');
+    const report = SvgLinter.lintBrands(this.brandManager, this.config, brandNames);
+    
+    this.buildStats.lint = { errors: report.errors, warnings: report.warnings };
+    for (const line of SvgLinter.formatReport(report)) {
+      this.log(line);
+    }
+    
+    if (report.errors > 0) {
+      this.log(`SVG lint failed with ${report.errors} errors; fix the icons or run with --no-lint`, 'error');
+      return false;
+    }
+    
+    return true;
+  }
+  
   async buildBrand(brandName) {
     try {
       this.log(`🔨 Building brand: ${brandName}`);
       
-      const brandIcons = this.brandManager.getIconsForBrand(brandName);
+      const sourceIcons = this.attachTokenMetadata(
+        brandName,
+        this.brandManager.getIconsForBrand(brandName)
+      );
       
-      if (brandIcons.length === 0) {
+      if (sourceIcons.length === 0) {
         this.log(`No icons found for brand: ${brandName}`, 'error');
         return;
       }
       
-      this.buildStats.totalIcons += brandIcons.length;
-      this.log(`Found ${brandIcons.length} icons for brand: ${brandName}`);
+      this.buildStats.totalIcons += sourceIcons.length;
+      this.log(`Found ${sourceIcons.length} icons for brand: ${brandName}`);
       
-      // Create brand-specific output directory
       const brandDistDir = path.join(this.distDir, brandName);
+      const platforms = Object.keys(PLATFORM_OUTPUTS)
+        .filter(platform => this.platform === 'all' || this.platform === platform);
+      const stalePlatforms = platforms.filter(platform => !this.cache.isFresh(
+        brandName,
+        platform,
+        this.getPlatformKey(brandName, platform, sourceIcons),
+        brandDistDir
+      ));
+      
+      // Create brand-specific output directory
       if (!fs.existsSync(brandDistDir)) {
         fs.mkdirSync(brandDistDir, { recursive: true });
       }
       
-      // Build Style Dictionary tokens for this brand
-      await this.buildStyleDictionary(brandName, brandIcons, brandDistDir);
-      
-      // Generate additional outputs
-      if (this.platform === 'all' || this.platform === 'svg') {
-        await this.generateSVGFiles(brandName, brandIcons, brandDistDir);
-      }
-      
-      if (this.platform === 'all' || this.platform === 'png') {
-        await this.generatePNGFiles(brandName, brandIcons, brandDistDir);
+      // package.json is cheap and depends on the package config and token
+      // file metadata rather than the icons, so it is always regenerated
+      if (stalePlatforms.length === 0) {
+        this.buildStats.cache.skippedBrands++;
+        this.buildStats.cache.skippedPlatforms += platforms.length;
+        await this.generatePackageJson(brandName, sourceIcons, brandDistDir);
+        this.log(`⏭️ Brand unchanged, skipped: ${brandName}`, 'success');
+        return;
       }
       
-      if (this.platform === 'all' || this.platform === 'font') {
-        await this.generateFontFiles(brandName, brandIcons, brandDistDir);
-      }
+      // Optimize once up front so every output format uses the same SVGs
+      const brandIcons = await this.optimizeIcons(brandName, sourceIcons);
       
-      if (this.platform === 'all' || this.platform === 'webcomponent') {
-        await this.generateWebComponents(brandName, brandIcons, brandDistDir);
+      for (const platform of platforms) {
+        if (!stalePlatforms.includes(platform)) {
+          this.buildStats.cache.skippedPlatforms++;
+          this.log(`⏭️ ${platform} unchanged, skipped for brand: ${brandName}`);
+          continue;
+        }
+        
+        await this.buildPlatform(brandName, platform, sourceIcons, brandIcons, brandDistDir);
       }
       
       // Generate package.json for this brand
@@ -187,6 +320,217 @@ class MultiBrandBuilder {
     }
   }
   
+  async buildPlatform(brandName, platform, sourceIcons, icons, brandDistDir) {
+    // A failed build must not leave an entry that looks fresh. The rest of
+    // the entry stays: PNGs are cached per icon and prune their own files.
+    this.cache.update(brandName, platform, { key: null });
+    
+    const previousFiles = this.listOutputs(brandDistDir, platform);
+    if (platform !== 'png') {
+      this.removeOutputs(brandDistDir, platform);
+    }
+    
+    switch (platform) {
+      case 'svg':
+        await this.buildStyleDictionary(brandName, icons, brandDistDir);
+        await this.generateSVGFiles(brandName, icons, brandDistDir);
+        break;
+      case 'png':
+        await this.generatePNGFiles(brandName, icons, brandDistDir);
+        break;
+      case 'font':
+        await this.generateFontFiles(brandName, icons, brandDistDir);
+        break;
+      case 'css':
+        await this.generateCssFiles(brandName, icons, brandDistDir);
+        break;
+      case 'webcomponent':
+        await this.generateWebComponents(brandName, icons, brandDistDir);
+        break;
+      case 'react':
+        await this.generateReactComponents(brandName, icons, brandDistDir);
+        break;
+      case 'vue':
+        await this.generateVueComponents(brandName, icons, brandDistDir);
+        break;
+      case 'svelte':
+        await this.generateSvelteComponents(brandName, icons, brandDistDir);
+        break;
+      case 'sprite':
+        await this.generateSprite(brandName, icons, brandDistDir);
+        break;
+      case 'android':
+        await this.generateAndroidDrawables(brandName, icons, brandDistDir);
+        break;
+      case 'ios':
+        await this.generateIosAssets(brandName, icons, brandDistDir);
+        break;
+    }
+    
+    // Keyed after the build: font generation assigns codepoints to new icons
+    const builtIcons = platform === 'font' ? this.attachTokenMetadata(brandName, sourceIcons) : sourceIcons;
+    const files = this.listOutputs(brandDistDir, platform);
+    
+    this.cache.update(brandName, platform, {
+      key: this.getPlatformKey(brandName, platform, builtIcons),
+      files
+    });
+    this.buildStats.cache.prunedFiles += previousFiles.filter(file => !files.includes(file)).length;
+  }
+  
+  // Generator sources are part of every key, so upgrading the build
+  // scripts rebuilds everything once
+  getBuildFingerprint() {
+    if (!this.buildFingerprint) {
+      const utilsDir = path.join(__dirname, 'src', 'utils');
+      const utilFiles = fs.readdirSync(utilsDir)
+        .filter(file => file.endsWith('.js'))
+        .map(file => path.join(utilsDir, file));
+      
+      this.buildFingerprint = BuildCache.hashFiles([__filename, ...utilFiles]);
+    }
+    
+    return this.buildFingerprint;
+  }
+  
+  getOptimizeKey(brandName) {
+    return {
+      enabled: this.svgOptimizer ? this.svgOptimizer.enabled : this.optimizeOptions.enabled !== false,
+      ...(this.svgOptimizer ? this.svgOptimizer.getBrandOptions(brandName) : {})
+    };
+  }
+  
+  getPlatformKey(brandName, platform, sourceIcons) {
+    const brandConfig = this.config.getBrandConfig(brandName);
+    const options = {
+      png: brandConfig.png,
+      font: brandConfig.font
+    };
+    
+    return BuildCache.hash({
+      fingerprint: this.getBuildFingerprint(),
+      platform,
+      options: options[platform] || null,
+      optimize: this.getOptimizeKey(brandName),
+      icons: sourceIcons.map(icon => ({
+        name: icon.name,
+        filename: icon.filename,
+        hash: icon.sourceHash,
+        description: icon.description,
+        deprecated: icon.deprecated,
+        variant: icon.variant,
+        ...(platform === 'font' ? { codepoint: icon.codepoint || null } : {})
+      }))
+    });
+  }
+  
+  // Existing files of a platform, relative to the brand directory
+  listOutputs(brandDistDir, platform) {
+    const files = [];
+    
+    const collect = relativePath => {
+      const fullPath = path.join(brandDistDir, relativePath);
+      if (!fs.existsSync(fullPath)) return;
+      
+      if (fs.statSync(fullPath).isDirectory()) {
+        for (const entry of fs.readdirSync(fullPath)) {
+          collect(`${relativePath}/${entry}`);
+        }
+      } else {
+        files.push(relativePath);
+      }
+    };
+    
+    PLATFORM_OUTPUTS[platform].forEach(collect);
+    return files.sort();
+  }
+  
+  removeOutputs(brandDistDir, platform) {
+    for (const outputPath of PLATFORM_OUTPUTS[platform]) {
+      fs.rmSync(path.join(brandDistDir, outputPath), { recursive: true, force: true });
+    }
+  }
+  
+  pruneRemovedBrands(brandNames) {
+    for (const brandName of this.cache.getBrands()) {
+      if (!brandNames.includes(brandName)) {
+        fs.rmSync(path.join(this.distDir, brandName), { recursive: true, force: true });
+        this.cache.removeBrand(brandName);
+        this.log(`🗑️ Removed output of deleted brand: ${brandName}`);
+      }
+    }
+  }
+  
+  attachTokenMetadata(brandName, icons) {
+    const brandTokens = this.tokenManager.getTokensByBrand(brandName);
+    
+    return icons.map(icon => {
+      const token = brandTokens[this.tokenManager.createTokenKey(brandName, icon.name)];
+      
+      return {
+        ...icon,
+        sourceHash: this.brandManager.getIconHash(icon.path),
+        description: token && token.description ? token.description : `${icon.name} icon for ${brandName}`,
+        deprecated: token && token.deprecated ? token.deprecated : null,
+        codepoint: token && token.codepoint ? token.codepoint : null,
+        variantOf: token && token.variantOf ? token.variantOf : null,
+        variant: token && token.variant ? token.variant : null
+      };
+    });
+  }
+  
+  toPascalCase(name) {
+    return name
+      .split(/[^a-zA-Z0-9]+/)
+      .filter(Boolean)
+      .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+      .join('');
+  }
+  
+  getFactoryName(iconName) {
+    return `create${this.toPascalCase(iconName)}Icon`;
+  }
+  
+  getComponentName(iconName) {
+    const pascalName = this.toPascalCase(iconName);
+    // Identifiers can't start with a digit (e.g. "24-hours")
+    return /^[0-9]/.test(pascalName) ? `Icon${pascalName}` : `${pascalName}Icon`;
+  }
+  
+  getOptimizedDir(brandName) {
+    const optimizedDir = path.join(this.distDir, '.optimized');
+    return brandName ? path.join(optimizedDir, brandName) : optimizedDir;
+  }
+  
+  async optimizeIcons(brandName, icons) {
+    if (!this.svgOptimizer.enabled) {
+      return icons;
+    }
+    
+    try {
+      const { icons: optimizedIcons, report } = this.svgOptimizer.optimizeIcons(
+        brandName,
+        icons,
+        this.getOptimizedDir(brandName)
+      );
+      
+      for (const entry of report) {
+        const percent = entry.originalSize > 0 ? Math.round((entry.saved / entry.originalSize) * 100) : 0;
+        this.log(`Optimized ${brandName}/${entry.name}.svg: ${entry.originalSize} → ${entry.optimizedSize} bytes (-${percent}%)`, 'success');
+        
+        this.buildStats.optimization.originalBytes += entry.originalSize;
+        this.buildStats.optimization.optimizedBytes += entry.optimizedSize;
+        this.buildStats.optimization.icons.push({ brand: brandName, ...entry });
+      }
+      
+      return optimizedIcons;
+      
+    } catch (error) {
+      this.log(`SVG optimization failed for brand '${brandName}': ${error.message}`, 'error');
+      throw error;
+    }
+  }
+  
   async buildStyleDictionary(brandName, icons, brandDistDir) {
     try {
       // Create brand-specific tokens
@@ -196,10 +540,12 @@ class MultiBrandBuilder {
         brandTokens.icon[icon.name] = {
           value: `${brandName}/${icon.filename}`,
           type: 'asset',
-          description: `${icon.name} icon for ${brandName}`,
+          description: icon.description,
           brand: brandName,
           name: icon.name,
-          filename: icon.filename
+          filename: icon.filename,
+          ...(icon.variantOf ? { variantOf: icon.variantOf, variant: icon.variant } : {}),
+          ...(icon.deprecated ? { deprecated: icon.deprecated } : {})
         };
       });
       
@@ -210,6 +556,12 @@ class MultiBrandBuilder {
       // Style Dictionary configuration
       const config = {
         source: [brandTokensFile],
+        hooks: {
+          formats: {
+            'javascript/es6-icons': javascriptIconsFormat,
+            'typescript/es6-icons-declarations': typescriptIconsDeclarationsFormat
+          }
+        },
         platforms: {}
       };
       
@@ -219,7 +571,16 @@ class MultiBrandBuilder {
           buildPath: path.join(brandDistDir, 'svg') + path.sep,
           files: [{
             destination: 'icons.js',
-            format: 'javascript/es6'
+            format: 'javascript/es6-icons'
+          }]
+        };
+        
+        config.platforms.types = {
+          transformGroup: 'js',
+          buildPath: path.join(brandDistDir, 'types') + path.sep,
+          files: [{
+            destination: 'index.d.ts',
+            format: 'typescript/es6-icons-declarations'
           }]
         };
       }
@@ -263,27 +624,68 @@ class MultiBrandBuilder {
   async generatePNGFiles(brandName, icons, brandDistDir) {
     try {
       this.log(`Generating PNG files for brand: ${brandName}`);
-      const pngDir = path.join(brandDistDir, 'png');
       
-      if (!fs.existsSync(pngDir)) {
-        fs.mkdirSync(pngDir, { recursive: true });
+      const pngConfig = this.config.getBrandConfig(brandName).png;
+      const rasterGenerator = new RasterGenerator(this.sharp, pngConfig);
+      const svgIcons = icons.filter(icon => icon.format === 'svg');
+      
+      // Rendering is the slow part of the build, so it is cached per icon
+      const previousIcons = (this.cache.get(brandName, 'png') || {}).icons || {};
+      const iconEntries = {};
+      const iconsToRender = [];
+      
+      for (const icon of svgIcons) {
+        const key = BuildCache.hash({
+          fingerprint: this.getBuildFingerprint(),
+          hash: icon.sourceHash,
+          optimize: this.getOptimizeKey(brandName),
+          png: pngConfig
+        });
+        const cached = previousIcons[icon.name];
+        
+        if (!this.force && cached && cached.key === key &&
+            this.cache.filesExist(brandDistDir, cached.rasters.map(raster => raster.file))) {
+          iconEntries[icon.name] = cached;
+          this.buildStats.cache.skippedIcons++;
+        } else {
+          iconsToRender.push({ icon, key });
+        }
+      }
+      
+      const rendered = await rasterGenerator.generate(
+        iconsToRender.map(({ icon }) => icon),
+        brandDistDir,
+        entry => this.log(`Generated ${entry.file} (${entry.width}x${entry.height})`, 'success')
+      );
+      
+      for (const { icon, key } of iconsToRender) {
+        iconEntries[icon.name] = { key, rasters: rendered.filter(entry => entry.icon === icon.name) };
       }
       
-      const sizes = [16, 24, 32, 48, 64];
+      const entries = svgIcons.flatMap(icon => iconEntries[icon.name].rasters);
       
-      for (const icon of icons) {
-        if (icon.format === 'svg') {
-          for (const size of sizes) {
-            const pngPath = path.join(pngDir, `${icon.name}-${size}.png`);
-            await this.sharp(icon.path)
-              .resize(size, size)
-              .png()
-              .toFile(pngPath);
-            this.log(`Generated ${icon.name}-${size}.png`, 'success');
+      // Rasters of removed icons, or of sizes/formats no longer configured
+      const currentFiles = new Set(entries.map(entry => entry.file));
+      for (const cached of Object.values(previousIcons)) {
+        for (const raster of cached.rasters) {
+          if (!currentFiles.has(raster.file) && fs.existsSync(path.join(brandDistDir, raster.file))) {
+            fs.unlinkSync(path.join(brandDistDir, raster.file));
           }
         }
       }
       
+      this.cache.update(brandName, 'png', { icons: iconEntries });
+      if (iconsToRender.length < svgIcons.length) {
+        this.log(`⏭️ Reused rasters of ${svgIcons.length - iconsToRender.length} unchanged icons for brand: ${brandName}`);
+      }
+      
+      // Lists every raster with its dimensions so consumers don't have to guess file names
+      fs.writeFileSync(
+        path.join(brandDistDir, 'rasters.json'),
+        JSON.stringify(rasterGenerator.createManifest(entries, { brand: brandName }), null, 2)
+      );
+      this.log(`Generated rasters.json with ${entries.length} entries for brand: ${brandName}`, 'success');
+      
     } catch (error) {
       this.log(`PNG generation failed for brand '${brandName}': ${error.message}`, 'error');
       throw error;
@@ -299,64 +701,33 @@ class MultiBrandBuilder {
         fs.mkdirSync(fontDir, { recursive: true });
       }
       
-      const brandAssetsDir = this.brandManager.getBrandDirectory(brandName);
-      
-      // Change working directory temporarily for webfont
-      const originalCwd = process.cwd();
-      process.chdir(brandAssetsDir);
+      // Only the (optimized) SVGs selected for this brand go into its font
+      const svgIcons = icons.filter(icon => icon.format === 'svg');
+      const fontConfig = this.config.getBrandConfig(brandName).font;
+      const fontGenerator = new FontGenerator(this.webfont, fontConfig);
+      const fontName = fontConfig.fontName || `${brandName.charAt(0).toUpperCase() + brandName.slice(1)}IconFont`;
       
-      this.log(`Changed to brand assets directory: ${brandAssetsDir}`);
-      
-      const fontName = `${brandName.charAt(0).toUpperCase() + brandName.slice(1)}IconFont`;
+      const codepoints = this.tokenManager.assignCodepoints(
+        brandName,
+        svgIcons.map(icon => icon.name),
+        fontGenerator.startUnicode
+      );
       
-      const result = await this.webfont({
-        files: '*.svg',
-        fontName: fontName,
-        formats: ['woff2', 'woff', 'ttf'],
-        normalize: true,
-        fontHeight: 1000,
-        descent: 150,
-        startUnicode: 0xe000,
+      const { fonts, glyphs } = await fontGenerator.generate({
+        fontName,
+        files: svgIcons.map(icon => icon.path),
+        codepoints
       });
       
-      // Restore original working directory
-      process.chdir(originalCwd);
-      
       // Write font files
-      const formats = ['woff2', 'woff', 'ttf'];
-      for (const format of formats) {
-        if (result[format]) {
-          const filePath = path.join(fontDir, `${fontName}.${format}`);
-          fs.writeFileSync(filePath, result[format]);
-          this.log(`Generated ${fontName}.${format}`, 'success');
-        }
+      for (const [format, content] of Object.entries(fonts)) {
+        const filePath = path.join(fontDir, `${fontName}.${format}`);
+        fs.writeFileSync(filePath, content);
+        this.log(`Generated ${fontName}.${format}`, 'success');
       }
       
-      // Generate CSS
-      const cssClasses = icons.map((icon, index) => {
-        const unicodeValue = (0xe000 + index).toString(16).toUpperCase();
-        return `.icon-${icon.name}::before { content: "\\${unicodeValue}"; }`;
-      }).join('\n');
-      
-      const cssContent = `@font-face {
-  font-family: '${fontName}';
-  src: url('./${fontName}.woff2') format('woff2'),
-       url('./${fontName}.woff') format('woff'),
-       url('./${fontName}.ttf') format('truetype');
-  font-weight: normal;
-  font-style: normal;
-}
-
-.icon {
-  font-family: '${fontName}';
-  font-style: normal;
-  font-weight: normal;
-  font-variant: normal;
-  text-transform: none;
-  line-height: 1;
-}
-
-${cssClasses}`;
+      // Generate CSS from the glyphs webfont actually put into the font
+      const cssContent = fontGenerator.generateCss(fontName, glyphs, svgIcons);
       
       fs.writeFileSync(path.join(fontDir, `${fontName}.css`), cssContent);
       this.log(`Generated ${fontName}.css`, 'success');
@@ -367,6 +738,40 @@ ${cssClasses}`;
     }
   }
   
+  // Font-free alternative to the icon font: each class masks a solid
+  // currentColor background with the icon, inlined as a data URI
+  async generateCssFiles(brandName, icons, brandDistDir) {
+    try {
+      this.log(`Generating CSS mask icons for brand: ${brandName}`);
+      const cssDir = path.join(brandDistDir, 'css');
+      
+      if (!fs.existsSync(cssDir)) {
+        fs.mkdirSync(cssDir, { recursive: true });
+      }
+      
+      const cssIcons = icons
+        .filter(icon => icon.format === 'svg')
+        .map(icon => ({
+          name: icon.name,
+          tokenName: this.tokenManager.createTokenKey(brandName, icon.name),
+          dataUri: toSvgDataUri(fs.readFileSync(icon.path, 'utf8')),
+          deprecated: icon.deprecated
+        }));
+      
+      const mapOptions = { mapName: `${brandName}-icons`, mixinName: `${brandName}-icon` };
+      
+      fs.writeFileSync(path.join(cssDir, 'icons.css'), generateMaskCss(cssIcons));
+      fs.writeFileSync(path.join(cssDir, '_icons.scss'), generateScssMap(cssIcons, mapOptions));
+      fs.writeFileSync(path.join(cssDir, 'icons.less'), generateLessMap(cssIcons, mapOptions));
+      
+      this.log(`Generated CSS, SCSS and Less icons (${cssIcons.length}) for brand: ${brandName}`, 'success');
+      
+    } catch (error) {
+      this.log(`CSS generation failed for brand '${brandName}': ${error.message}`, 'error');
+      throw error;
+    }
+  }
+  
   async generateWebComponents(brandName, icons, brandDistDir) {
     try {
       this.log(`Generating web components for brand: ${brandName}`);
@@ -381,9 +786,19 @@ ${cssClasses}`;
         return `    '${icon.name}': \`${svgContent.replace(/`/g, '\\`')}\``;
       }).join(',\n');
       
-      const className = `${brandName.charAt(0).toUpperCase() + brandName.slice(1)}IconComponent`;
+      const deprecatedIconMap = icons
+        .filter(icon => icon.deprecated)
+        .map(icon => `  '${icon.name}': ${JSON.stringify(TokenManager.formatDeprecation(icon.deprecated))}`)
+        .join(',\n');
+      
+      const className = `${this.toPascalCase(brandName)}IconComponent`;
       
       const webComponentContent = `// Auto-generated ${brandName} icon web components
+const deprecatedIcons = {
+${deprecatedIconMap}
+};
+const warnedDeprecatedIcons = new Set();
+
 class ${className} extends HTMLElement {
   constructor() {
     super();
@@ -399,6 +814,11 @@ class ${className} extends HTMLElement {
 ${iconMap}
     };
     
+    if (deprecatedIcons[iconName] && !warnedDeprecatedIcons.has(iconName)) {
+      warnedDeprecatedIcons.add(iconName);
+      console.warn(\`${brandName} icon '\${iconName}' is deprecated. \${deprecatedIcons[iconName]}\`);
+    }
+    
     if (iconMap[iconName]) {
       this.shadowRoot.innerHTML = \`
         <style>
@@ -425,8 +845,8 @@ customElements.define('${brandName}-icon', ${className});
 
 // Export individual icon functions for programmatic use
 ${icons.map(icon => {
-  const functionName = `create${icon.name.charAt(0).toUpperCase() + icon.name.slice(1)}Icon`;
-  return `export function ${functionName}(size = 24, color = 'currentColor') {
+  const functionName = this.getFactoryName(icon.name);
+  return `${createDocComment(getDeprecationDocLines(icon.deprecated))}export function ${functionName}(size = 24, color = 'currentColor') {
   const iconEl = document.createElement('${brandName}-icon');
   iconEl.setAttribute('name', '${icon.name}');
   iconEl.setAttribute('size', size);
@@ -439,6 +859,7 @@ export { ${className} };
 export const availableIcons = [${icons.map(icon => `'${icon.name}'`).join(', ')}];`;
       
       fs.writeFileSync(path.join(webcompDir, 'icons.js'), webComponentContent);
+      this.generateWebComponentTypes(brandName, icons, brandDistDir, className);
       this.log(`Generated web components for brand: ${brandName}`, 'success');
       
     } catch (error) {
@@ -447,45 +868,912 @@ export const availableIcons = [${icons.map(icon => `'${icon.name}'`).join(', ')}
     }
   }
   
+  generateWebComponentTypes(brandName, icons, brandDistDir, className) {
+    const typesDir = path.join(brandDistDir, 'types');
+    
+    if (!fs.existsSync(typesDir)) {
+      fs.mkdirSync(typesDir, { recursive: true });
+    }
+    
+    const iconNameType = `${this.toPascalCase(brandName)}IconName`;
+    const iconNames = icons.map(icon => `'${icon.name}'`).join(' | ') || 'never';
+    
+    const factories = icons.map(icon => {
+      const docLines = [
+        `Creates a \`<${brandName}-icon name="${icon.name}">\` element.`,
+        ...getDeprecationDocLines(icon.deprecated)
+      ];
+      return `${createDocComment(docLines)}export function ${this.getFactoryName(icon.name)}(size?: number | string, color?: string): ${className};`;
+    }).join('\n\n');
+    
+    const typesContent = `${FILE_HEADER}export type ${iconNameType} = ${iconNames};
+
+export class ${className} extends HTMLElement {}
+
+${factories}
+
+export const availableIcons: ${iconNameType}[];
+
+declare global {
+  interface HTMLElementTagNameMap {
+    '${brandName}-icon': ${className};
+  }
+}
+`;
+    
+    fs.writeFileSync(path.join(typesDir, 'webcomponents.d.ts'), typesContent);
+    this.log(`Generated web component typings for brand: ${brandName}`, 'success');
+  }
+  
+  toReactPropName(name) {
+    if (name === 'class') return 'className';
+    if (name.startsWith('data-') || name.startsWith('aria-')) return name;
+    
+    // xlink:href -> xlinkHref, stroke-width -> strokeWidth
+    return name.replace(/[:-]([a-z])/g, (match, letter) => letter.toUpperCase());
+  }
+  
+  toReactProps(attributes) {
+    const props = {};
+    
+    for (const [name, value] of Object.entries(attributes)) {
+      if (name === 'style') {
+        props.style = value.split(';').reduce((style, declaration) => {
+          const [property, ...rest] = declaration.split(':');
+          if (property && rest.length > 0) {
+            style[property.trim().replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())] = rest.join(':').trim();
+          }
+          return style;
+        }, {});
+      } else {
+        props[this.toReactPropName(name)] = value;
+      }
+    }
+    
+    return props;
+  }
+  
+  // Turns an SVG node into nested render function calls, e.g.
+  // createElement('path', {...}) for React or h('path', {...}) for Vue
+  toRenderFunctionCode(node, indentation, factoryName, mapProps) {
+    if (node.type === 'text') {
+      return node.value.trim() ? JSON.stringify(node.value) : null;
+    }
+    
+    if (node.type !== 'element') return null;
+    
+    const children = (node.children || [])
+      .map(child => this.toRenderFunctionCode(child, `${indentation}  `, factoryName, mapProps))
+      .filter(Boolean);
+    const props = JSON.stringify(mapProps(node.attributes));
+    
+    if (children.length === 0) {
+      return `${factoryName}('${node.name}', ${props})`;
+    }
+    
+    return `${factoryName}('${node.name}', ${props},\n${children.map(child => `${indentation}  ${child}`).join(',\n')}\n${indentation})`;
+  }
+  
+  formatObjectProperties(object, indentation) {
+    return Object.entries(object)
+      .map(([name, value]) => `${indentation}${/^[a-zA-Z_$][\w$]*$/.test(name) ? name : `'${name}'`}: ${JSON.stringify(value)},`)
+      .join('\n');
+  }
+  
+  getComponentSvg(icon) {
+    const svg = parseSvg(fs.readFileSync(icon.path, 'utf8'));
+    
+    // Sizing and color are driven by props, not by the exported artwork
+    const { width, height, ...rootAttributes } = svg.attributes;
+    
+    return {
+      svg,
+      rootAttributes: {
+        xmlns: 'http://www.w3.org/2000/svg',
+        fill: 'currentColor',
+        ...rootAttributes
+      }
+    };
+  }
+  
+  getDeprecationWarning(brandName, icon) {
+    return `${brandName} icon '${icon.name}' is deprecated. ${TokenManager.formatDeprecation(icon.deprecated)}`;
+  }
+  
+  async generateReactComponents(brandName, icons, brandDistDir) {
+    try {
+      this.log(`Generating React components for brand: ${brandName}`);
+      const reactDir = path.join(brandDistDir, 'react');
+      const typesDir = path.join(brandDistDir, 'types');
+      
+      for (const dir of [reactDir, typesDir]) {
+        if (!fs.existsSync(dir)) {
+          fs.mkdirSync(dir, { recursive: true });
+        }
+      }
+      
+      const svgIcons = icons.filter(icon => icon.format === 'svg');
+      
+      for (const icon of svgIcons) {
+        const componentName = this.getComponentName(icon.name);
+        const { svg, rootAttributes } = this.getComponentSvg(icon);
+        const rootProps = this.toReactProps(rootAttributes);
+        
+        const children = (svg.children || [])
+          .map(child => this.toRenderFunctionCode(child, '    ', 'createElement', attributes => this.toReactProps(attributes)))
+          .filter(Boolean);
+        
+        const deprecationWarning = icon.deprecated
+          ? `
+let warned = false;
+`
+          : '';
+        const deprecationCheck = icon.deprecated
+          ? `
+  if (!warned) {
+    warned = true;
+    console.warn(${JSON.stringify(this.getDeprecationWarning(brandName, icon))});
+  }
+`
+          : '';
+        
+        const componentContent = `// Auto-generated ${brandName} icon React component
+import { createElement, forwardRef } from 'react';
+${deprecationWarning}
+${createDocComment([icon.description, ...getDeprecationDocLines(icon.deprecated)])}const ${componentName} = forwardRef(function ${componentName}({ size = 24, color = 'currentColor', title, ...props }, ref) {${deprecationCheck}
+  return createElement('svg', {
+${this.formatObjectProperties(rootProps, '    ')}
+    width: size,
+    height: size,
+    color,
+    role: title ? 'img' : undefined,
+    'aria-hidden': title ? undefined : true,
+    ref,
+    ...props
+  },
+    title ? createElement('title', null, title) : null${children.map(child => `,\n    ${child}`).join('')}
+  );
+});
+
+${componentName}.displayName = '${componentName}';
+
+export default ${componentName};
+`;
+        
+        fs.writeFileSync(path.join(reactDir, `${componentName}.js`), componentContent);
+      }
+      
+      // Barrel re-exporting every icon; unused icons are dropped by bundlers
+      const indexContent = `// Auto-generated ${brandName} icon React components
+${svgIcons.map(icon => {
+  const componentName = this.getComponentName(icon.name);
+  return `export { default as ${componentName} } from './${componentName}.js';`;
+}).join('\n')}
+`;
+      fs.writeFileSync(path.join(reactDir, 'index.js'), indexContent);
+      
+      const typesContent = `${FILE_HEADER}import type { ForwardRefExoticComponent, RefAttributes, SVGProps } from 'react';
+
+export interface IconProps extends Omit<SVGProps<SVGSVGElement>, 'ref' | 'color'> {
+  size?: number | string;
+  color?: string;
+  title?: string;
+}
+
+export type IconComponent = ForwardRefExoticComponent<IconProps & RefAttributes<SVGSVGElement>>;
+
+${svgIcons.map(icon => {
+  return `${createDocComment([icon.description, ...getDeprecationDocLines(icon.deprecated)])}export const ${this.getComponentName(icon.name)}: IconComponent;`;
+}).join('\n\n')}
+`;
+      fs.writeFileSync(path.join(typesDir, 'react.d.ts'), typesContent);
+      
+      this.log(`Generated ${svgIcons.length} React components for brand: ${brandName}`, 'success');
+      
+    } catch (error) {
+      this.log(`React component generation failed for brand '${brandName}': ${error.message}`, 'error');
+      throw error;
+    }
+  }
+  
+  async generateVueComponents(brandName, icons, brandDistDir) {
+    try {
+      this.log(`Generating Vue components for brand: ${brandName}`);
+      const vueDir = path.join(brandDistDir, 'vue');
+      const typesDir = path.join(brandDistDir, 'types');
+      
+      for (const dir of [vueDir, typesDir]) {
+        if (!fs.existsSync(dir)) {
+          fs.mkdirSync(dir, { recursive: true });
+        }
+      }
+      
+      const svgIcons = icons.filter(icon => icon.format === 'svg');
+      
+      for (const icon of svgIcons) {
+        const componentName = this.getComponentName(icon.name);
+        const { svg, rootAttributes } = this.getComponentSvg(icon);
+        
+        const children = (svg.children || [])
+          .map(child => this.toRenderFunctionCode(child, '      ', 'h', attributes => attributes))
+          .filter(Boolean);
+        
+        const deprecationWarning = icon.deprecated
+          ? `
+let warned = false;
+`
+          : '';
+        const deprecationCheck = icon.deprecated
+          ? `
+    if (!warned) {
+      warned = true;
+      console.warn(${JSON.stringify(this.getDeprecationWarning(brandName, icon))});
+    }
+    `
+          : '';
+        
+        const componentContent = `// Auto-generated ${brandName} icon Vue component
+import { defineComponent, h } from 'vue';
+${deprecationWarning}
+${createDocComment([icon.description, ...getDeprecationDocLines(icon.deprecated)])}export default defineComponent({
+  name: '${componentName}',
+  props: {
+    size: { type: [Number, String], default: 24 },
+    color: { type: String, default: 'currentColor' },
+    title: { type: String, default: undefined }
+  },
+  setup(props) {${deprecationCheck}
+    return () => h('svg', {
+${this.formatObjectProperties(rootAttributes, '      ')}
+      width: props.size,
+      height: props.size,
+      color: props.color,
+      role: props.title ? 'img' : undefined,
+      'aria-hidden': props.title ? undefined : 'true'
+    }, [
+      props.title ? h('title', props.title) : null${children.map(child => `,\n      ${child}`).join('')}
+    ]);
+  }
+});
+`;
+        
+        fs.writeFileSync(path.join(vueDir, `${componentName}.js`), componentContent);
+      }
+      
+      const indexContent = `// Auto-generated ${brandName} icon Vue components
+${svgIcons.map(icon => {
+  const componentName = this.getComponentName(icon.name);
+  return `export { default as ${componentName} } from './${componentName}.js';`;
+}).join('\n')}
+`;
+      fs.writeFileSync(path.join(vueDir, 'index.js'), indexContent);
+      
+      const typesContent = `${FILE_HEADER}import type { DefineComponent } from 'vue';
+
+export interface IconProps {
+  size?: number | string;
+  color?: string;
+  title?: string;
+}
+
+export type IconComponent = DefineComponent<IconProps>;
+
+${svgIcons.map(icon => {
+  return `${createDocComment([icon.description, ...getDeprecationDocLines(icon.deprecated)])}export const ${this.getComponentName(icon.name)}: IconComponent;`;
+}).join('\n\n')}
+`;
+      fs.writeFileSync(path.join(typesDir, 'vue.d.ts'), typesContent);
+      
+      this.log(`Generated ${svgIcons.length} Vue components for brand: ${brandName}`, 'success');
+      
+    } catch (error) {
+      this.log(`Vue component generation failed for brand '${brandName}': ${error.message}`, 'error');
+      throw error;
+    }
+  }
+  
+  // Svelte treats braces as expressions, so literal ones must be escaped
+  escapeSvelteMarkup(markup) {
+    return markup.replace(/{/g, '&#123;').replace(/}/g, '&#125;');
+  }
+  
+  async generateSvelteComponents(brandName, icons, brandDistDir) {
+    try {
+      this.log(`Generating Svelte components for brand: ${brandName}`);
+      const svelteDir = path.join(brandDistDir, 'svelte');
+      const typesDir = path.join(brandDistDir, 'types');
+      
+      for (const dir of [svelteDir, typesDir]) {
+        if (!fs.existsSync(dir)) {
+          fs.mkdirSync(dir, { recursive: true });
+        }
+      }
+      
+      const svgIcons = icons.filter(icon => icon.format === 'svg');
+      
+      for (const icon of svgIcons) {
+        const componentName = this.getComponentName(icon.name);
+        const { svg, rootAttributes } = this.getComponentSvg(icon);
+        
+        const attributes = Object.entries(rootAttributes)
+          .map(([name, value]) => `${name}="${this.escapeSvelteMarkup(value.replace(/"/g, '&quot;'))}"`)
+          .join(' ');
+        const children = (svg.children || [])
+          .map(child => this.escapeSvelteMarkup(stringifyNode(child)))
+          .filter(Boolean)
+          .map(child => `  ${child}`)
+          .join('\n');
+        
+        const moduleScript = icon.deprecated
+          ? `<script context="module">
+  let warned = false;
+</script>
+
+`
+          : '';
+        const deprecationCheck = icon.deprecated
+          ? `
+
+  if (!warned) {
+    warned = true;
+    console.warn(${JSON.stringify(this.getDeprecationWarning(brandName, icon))});
+  }`
+          : '';
+        
+        const componentContent = `<!-- Auto-generated ${brandName} icon Svelte component: ${componentName} -->
+${moduleScript}<script>
+  export let size = 24;
+  export let color = 'currentColor';
+  export let title = undefined;${deprecationCheck}
+</script>
+
+<svg ${attributes} width={size} height={size} {color} role={title ? 'img' : undefined} aria-hidden={title ? undefined : 'true'} {...$$restProps}>
+  {#if title}<title>{title}</title>{/if}
+${children}
+</svg>
+`;
+        
+        fs.writeFileSync(path.join(svelteDir, `${componentName}.svelte`), componentContent);
+      }
+      
+      const indexContent = `// Auto-generated ${brandName} icon Svelte components
+${svgIcons.map(icon => {
+  const componentName = this.getComponentName(icon.name);
+  return `export { default as ${componentName} } from './${componentName}.svelte';`;
+}).join('\n')}
+`;
+      fs.writeFileSync(path.join(svelteDir, 'index.js'), indexContent);
+      
+      const typesContent = `${FILE_HEADER}import type { SvelteComponent } from 'svelte';
+
+export interface IconProps {
+  size?: number | string;
+  color?: string;
+  title?: string;
+  [attribute: string]: unknown;
+}
+
+${svgIcons.map(icon => {
+  return `${createDocComment([icon.description, ...getDeprecationDocLines(icon.deprecated)])}export class ${this.getComponentName(icon.name)} extends SvelteComponent<IconProps> {}`;
+}).join('\n\n')}
+`;
+      fs.writeFileSync(path.join(typesDir, 'svelte.d.ts'), typesContent);
+      
+      this.log(`Generated ${svgIcons.length} Svelte components for brand: ${brandName}`, 'success');
+      
+    } catch (error) {
+      this.log(`Svelte component generation failed for brand '${brandName}': ${error.message}`, 'error');
+      throw error;
+    }
+  }
+  
+  // Symbols share one document, so ids inside an icon (gradients, clip paths)
+  // are prefixed with the symbol id and every reference to them rewritten
+  prefixSvgIds(svg, prefix) {
+    const ids = new Map();
+    
+    walkElements(svg, node => {
+      if (node.attributes.id) {
+        ids.set(node.attributes.id, `${prefix}-${node.attributes.id}`);
+        node.attributes.id = ids.get(node.attributes.id);
+      }
+    });
+    
+    if (ids.size === 0) return;
+    
+    walkElements(svg, node => {
+      for (const [name, value] of Object.entries(node.attributes)) {
+        if ((name === 'href' || name === 'xlink:href') && value.startsWith('#') && ids.has(value.slice(1))) {
+          node.attributes[name] = `#${ids.get(value.slice(1))}`;
+        } else if (value.includes('url(#')) {
+          node.attributes[name] = value.replace(/url\(#([^)]+)\)/g, (match, id) => ids.has(id) ? `url(#${ids.get(id)})` : match);
+        }
+      }
+    });
+  }
+  
+  getSymbolMarkup(brandName, icon) {
+    const symbolId = this.tokenManager.createTokenKey(brandName, icon.name);
+    const svg = parseSvg(fs.readFileSync(icon.path, 'utf8'));
+    const viewBox = parseViewBox(svg);
+    
+    this.prefixSvgIds(svg, symbolId);
+    
+    // Presentation attributes on the root (fill, stroke, ...) move to the symbol
+    const { width, height, viewBox: rawViewBox, xmlns, id, version, ...rootAttributes } = svg.attributes;
+    const attributes = Object.entries(rootAttributes)
+      .filter(([name]) => !name.startsWith('xmlns:'))
+      .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+      .join('');
+    const viewBoxAttribute = viewBox ? ` viewBox="${viewBox.minX} ${viewBox.minY} ${viewBox.width} ${viewBox.height}"` : '';
+    const children = (svg.children || []).map(stringifyNode).join('');
+    
+    return {
+      symbolId,
+      markup: `<symbol id="${escapeXml(symbolId)}"${viewBoxAttribute}${attributes}>${children}</symbol>`
+    };
+  }
+  
+  async generateSprite(brandName, icons, brandDistDir) {
+    try {
+      this.log(`Generating SVG sprite for brand: ${brandName}`);
+      const spriteDir = path.join(brandDistDir, 'sprite');
+      const typesDir = path.join(brandDistDir, 'types');
+      
+      for (const dir of [spriteDir, typesDir]) {
+        if (!fs.existsSync(dir)) {
+          fs.mkdirSync(dir, { recursive: true });
+        }
+      }
+      
+      const svgIcons = icons.filter(icon => icon.format === 'svg');
+      const symbols = svgIcons.map(icon => ({ icon, ...this.getSymbolMarkup(brandName, icon) }));
+      const usesXlink = symbols.some(symbol => symbol.markup.includes('xlink:'));
+      
+      const spriteContent = `<svg xmlns="http://www.w3.org/2000/svg"${usesXlink ? ' xmlns:xlink="http://www.w3.org/1999/xlink"' : ''} style="display: none">
+${symbols.map(symbol => `  ${symbol.markup}`).join('\n')}
+</svg>
+`;
+      fs.writeFileSync(path.join(spriteDir, 'sprite.svg'), spriteContent);
+      
+      const deprecatedIds = symbols
+        .filter(symbol => symbol.icon.deprecated)
+        .reduce((acc, symbol) => {
+          acc[symbol.symbolId] = this.getDeprecationWarning(brandName, symbol.icon);
+          return acc;
+        }, {});
+      
+      const helperContent = `// Auto-generated ${brandName} icon sprite helpers
+
+export const symbolIds = ${JSON.stringify(symbols.map(symbol => symbol.symbolId))};
+
+const deprecatedIds = ${JSON.stringify(deprecatedIds, null, 2)};
+const warnedIds = new Set();
+
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Returns an \`<svg><use href></svg>\` snippet for a symbol of the ${brandName} sprite.
+ * Leave \`spriteUrl\` empty when the sprite is inlined in the page, otherwise
+ * point it at the served sprite.svg.
+ */
+export function createIconUse(id, { spriteUrl = '', size = 24, className, title } = {}) {
+  if (!symbolIds.includes(id)) {
+    throw new Error(\`Unknown ${brandName} icon symbol: \${id}\`);
+  }
+  
+  if (deprecatedIds[id] && !warnedIds.has(id)) {
+    warnedIds.add(id);
+    console.warn(deprecatedIds[id]);
+  }
+  
+  const attributes = [
+    'xmlns="http://www.w3.org/2000/svg"',
+    \`width="\${escapeAttribute(size)}"\`,
+    \`height="\${escapeAttribute(size)}"\`,
+    'fill="currentColor"',
+    className ? \`class="\${escapeAttribute(className)}"\` : null,
+    title ? 'role="img"' : 'aria-hidden="true"'
+  ].filter(Boolean).join(' ');
+  const titleMarkup = title ? \`<title>\${escapeAttribute(title)}</title>\` : '';
+  
+  return \`<svg \${attributes}>\${titleMarkup}<use href="\${escapeAttribute(spriteUrl)}#\${id}"></use></svg>\`;
+}
+`;
+      fs.writeFileSync(path.join(spriteDir, 'index.js'), helperContent);
+      
+      const symbolIdType = `${this.toPascalCase(brandName)}SymbolId`;
+      const symbolIdUnion = symbols.map(symbol => `'${symbol.symbolId}'`).join(' | ') || 'never';
+      const typesContent = `${FILE_HEADER}export type ${symbolIdType} = ${symbolIdUnion};
+
+export const symbolIds: ${symbolIdType}[];
+
+export interface IconUseOptions {
+  /** URL of the served sprite.svg; empty when the sprite is inlined in the page */
+  spriteUrl?: string;
+  size?: number | string;
+  className?: string;
+  title?: string;
+}
+
+export function createIconUse(id: ${symbolIdType}, options?: IconUseOptions): string;
+`;
+      fs.writeFileSync(path.join(typesDir, 'sprite.d.ts'), typesContent);
+      
+      this.log(`Generated sprite with ${symbols.length} symbols for brand: ${brandName}`, 'success');
+      
+    } catch (error) {
+      this.log(`Sprite generation failed for brand '${brandName}': ${error.message}`, 'error');
+      throw error;
+    }
+  }
+  
+  async generateAndroidDrawables(brandName, icons, brandDistDir) {
+    try {
+      this.log(`Generating Android vector drawables for brand: ${brandName}`);
+      const androidDir = path.join(brandDistDir, 'android');
+      const drawableDir = path.join(androidDir, 'res', 'drawable');
+      
+      if (!fs.existsSync(drawableDir)) {
+        fs.mkdirSync(drawableDir, { recursive: true });
+      }
+      
+      const converter = new VectorDrawableConverter();
+      const svgIcons = icons.filter(icon => icon.format === 'svg');
+      const resourceNames = new Map();
+      const report = [];
+      
+      for (const icon of svgIcons) {
+        const resourceName = this.brandManager.getAndroidResourceName(brandName, icon.name);
+        
+        // e.g. "ice-cream" and "ice_cream" both become ic_<brand>_ice_cream
+        if (resourceNames.has(resourceName)) {
+          throw new Error(`Icons '${resourceNames.get(resourceName)}' and '${icon.name}' both map to Android resource '${resourceName}'`);
+        }
+        resourceNames.set(resourceName, icon.name);
+        
+        const comments = [`Auto-generated ${brandName} icon: ${icon.name}`];
+        if (icon.deprecated) {
+          comments.push(`@deprecated ${TokenManager.formatDeprecation(icon.deprecated)}`);
+        }
+        
+        const { xml, issues } = converter.convert(fs.readFileSync(icon.path, 'utf8'), { comments });
+        fs.writeFileSync(path.join(drawableDir, `${resourceName}.xml`), xml);
+        
+        for (const issue of issues) {
+          this.log(`⚠️ ${brandName}/${icon.name}: ${issue.element} ${issue.feature}`);
+        }
+        
+        report.push({ icon: icon.name, resource: `@drawable/${resourceName}`, issues });
+      }
+      
+      // Everything the conversion dropped or approximated, for review by the Android team
+      fs.writeFileSync(
+        path.join(androidDir, 'conversion-report.json'),
+        JSON.stringify(report, null, 2)
+      );
+      
+      const issueCount = report.reduce((count, entry) => count + entry.issues.length, 0);
+      this.log(`Generated ${report.length} vector drawables for brand: ${brandName} (${issueCount} unsupported SVG features)`, 'success');
+      
+    } catch (error) {
+      this.log(`Android drawable generation failed for brand '${brandName}': ${error.message}`, 'error');
+      throw error;
+    }
+  }
+  
+  // Xcode renders SVGs itself: give them an explicit point size and replace
+  // currentColor, which template rendering ignores anyway
+  getIosSvg(icon, size = 24) {
+    const svg = parseSvg(fs.readFileSync(icon.path, 'utf8'));
+    const viewBox = parseViewBox(svg);
+    
+    const replaceCurrentColor = node => {
+      for (const [name, value] of Object.entries(node.attributes)) {
+        if (value.includes('currentColor')) {
+          node.attributes[name] = value.replace(/currentColor/g, '#000000');
+        }
+      }
+    };
+    replaceCurrentColor(svg);
+    walkElements(svg, replaceCurrentColor);
+    
+    svg.attributes = { xmlns: 'http://www.w3.org/2000/svg', ...svg.attributes };
+    if (viewBox) {
+      const scale = size / Math.max(viewBox.width, viewBox.height);
+      svg.attributes.width = String(Math.round(viewBox.width * scale * 1000) / 1000);
+      svg.attributes.height = String(Math.round(viewBox.height * scale * 1000) / 1000);
+    }
+    
+    return `${stringifyNode(svg)}\n`;
+  }
+  
+  getSwiftCaseName(iconName) {
+    const pascalName = this.toPascalCase(iconName);
+    const caseName = pascalName.charAt(0).toLowerCase() + pascalName.slice(1);
+    
+    // Identifiers can't start with a digit, and keywords need backticks
+    if (/^[0-9]/.test(caseName)) return `icon${pascalName}`;
+    return ['case', 'default', 'class', 'func', 'import', 'init', 'let', 'var', 'in', 'is', 'self', 'static', 'struct', 'return'].includes(caseName)
+      ? `\`${caseName}\``
+      : caseName;
+  }
+  
+  async generateIosAssets(brandName, icons, brandDistDir) {
+    try {
+      this.log(`Generating iOS asset catalog for brand: ${brandName}`);
+      const iosDir = path.join(brandDistDir, 'ios');
+      const catalogDir = path.join(iosDir, 'Icons.xcassets');
+      
+      if (!fs.existsSync(catalogDir)) {
+        fs.mkdirSync(catalogDir, { recursive: true });
+      }
+      
+      const xcodeInfo = { author: 'xcode', version: 1 };
+      fs.writeFileSync(path.join(catalogDir, 'Contents.json'), JSON.stringify({ info: xcodeInfo }, null, 2));
+      
+      const svgIcons = icons.filter(icon => icon.format === 'svg');
+      
+      for (const icon of svgIcons) {
+        const imagesetDir = path.join(catalogDir, `${icon.name}.imageset`);
+        if (!fs.existsSync(imagesetDir)) {
+          fs.mkdirSync(imagesetDir, { recursive: true });
+        }
+        
+        fs.writeFileSync(path.join(imagesetDir, `${icon.name}.svg`), this.getIosSvg(icon));
+        
+        // Template rendering lets UIKit/SwiftUI tint the icon; the vector
+        // data stays so it is sharp at every size
+        const contents = {
+          images: [{ filename: `${icon.name}.svg`, idiom: 'universal' }],
+          info: xcodeInfo,
+          properties: {
+            'preserves-vector-representation': true,
+            'template-rendering-intent': 'template'
+          }
+        };
+        fs.writeFileSync(path.join(imagesetDir, 'Contents.json'), JSON.stringify(contents, null, 2));
+      }
+      
+      const enumName = `${this.toPascalCase(brandName)}Icon`;
+      const cases = svgIcons.map(icon => {
+        const lines = [`    /// ${icon.description.replace(/\s+/g, ' ')}`];
+        if (icon.deprecated) {
+          lines.push(`    @available(*, deprecated, message: ${JSON.stringify(TokenManager.formatDeprecation(icon.deprecated))})`);
+        }
+        lines.push(`    case ${this.getSwiftCaseName(icon.name)} = ${JSON.stringify(icon.name)}`);
+        return lines.join('\n');
+      }).join('\n\n');
+      
+      const swiftContent = `// Auto-generated ${brandName} icon names for Icons.xcassets
+// Do not edit directly.
+
+import Foundation
+#if canImport(UIKit)
+import UIKit
+#endif
+#if canImport(SwiftUI)
+import SwiftUI
+#endif
+
+public enum ${enumName}: String, CaseIterable {
+${cases}
+
+    // Pass the bundle containing Icons.xcassets when it lives in a framework or package
+
+    #if canImport(UIKit)
+    public func uiImage(in bundle: Bundle = .main) -> UIImage? {
+        UIImage(named: rawValue, in: bundle, compatibleWith: nil)?.withRenderingMode(.alwaysTemplate)
+    }
+    #endif
+
+    #if canImport(SwiftUI)
+    @available(iOS 13.0, macOS 10.15, tvOS 13.0, watchOS 6.0, *)
+    public func image(in bundle: Bundle = .main) -> Image {
+        Image(rawValue, bundle: bundle).renderingMode(.template)
+    }
+    #endif
+}
+`;
+      fs.writeFileSync(path.join(iosDir, `${enumName}.swift`), swiftContent);
+      
+      this.log(`Generated ${svgIcons.length} iOS imagesets and ${enumName}.swift for brand: ${brandName}`, 'success');
+      
+    } catch (error) {
+      this.log(`iOS asset generation failed for brand '${brandName}': ${error.message}`, 'error');
+      throw error;
+    }
+  }
+  
+  getCatalogSnippets(brandName, packageName, icon) {
+    const tokenKey = this.tokenManager.createTokenKey(brandName, icon.name);
+    const componentName = this.getComponentName(icon.name);
+    const pngSizes = this.config.getBrandConfig(brandName).png.sizes;
+    const pngSize = pngSizes.includes(24) ? 24 : pngSizes[0];
+    
+    return [
+      { label: 'SVG (JavaScript)', code: `import { ${this.toPascalCase(`icon-${icon.name}`)} } from '${packageName}';` },
+      { label: 'SVG file', code: `${packageName}/svg/${icon.filename}` },
+      { label: 'PNG', code: `${packageName}/png/${icon.name}-${pngSize}.png` },
+      ...(icon.codepoint ? [{ label: 'Icon font', code: `<i class="icon icon-${icon.name}"></i>` }] : []),
+      { label: 'CSS mask', code: `<span class="mask-icon mask-icon-${icon.name}"></span>` },
+      { label: 'SCSS', code: `@include ${brandName}-icon('${tokenKey}');` },
+      { label: 'Web component', code: `<${brandName}-icon name="${icon.name}"></${brandName}-icon>` },
+      { label: 'React', code: `import { ${componentName} } from '${packageName}/react';` },
+      { label: 'Vue', code: `import { ${componentName} } from '${packageName}/vue';` },
+      { label: 'Svelte', code: `import { ${componentName} } from '${packageName}/svelte';` },
+      { label: 'SVG sprite', code: `createIconUse('${tokenKey}', { spriteUrl: '/sprite.svg' })` },
+      { label: 'Android', code: `R.drawable.${this.brandManager.getAndroidResourceName(brandName, icon.name)}` },
+      { label: 'iOS (SwiftUI)', code: `${this.toPascalCase(brandName)}Icon.${this.getSwiftCaseName(icon.name)}.image()` }
+    ];
+  }
+  
+  // One page for all brands, so it lives next to the brand packages rather
+  // than inside them
+  async generateCatalog() {
+    try {
+      this.log('Generating icon catalog');
+      const catalogDir = path.join(this.distDir, 'catalog');
+      
+      if (!fs.existsSync(catalogDir)) {
+        fs.mkdirSync(catalogDir, { recursive: true });
+      }
+      
+      const summary = this.brandManager.generateBrandSummary();
+      
+      const brands = Object.entries(summary.brands).map(([brandName, brandSummary]) => {
+        const packageName = this.config.getPackageName(brandName);
+        const iconsByName = new Map(
+          this.attachTokenMetadata(brandName, this.brandManager.getIconsForBrand(brandName))
+            .map(icon => [icon.name, icon])
+        );
+        
+        return {
+          name: brandName,
+          packageName,
+          iconCount: brandSummary.iconCount,
+          icons: brandSummary.icons.map(({ name }) => {
+            const icon = iconsByName.get(name);
+            
+            return {
+              name,
+              tokenKey: this.tokenManager.createTokenKey(brandName, name),
+              description: icon.description,
+              deprecated: icon.deprecated ? TokenManager.formatDeprecation(icon.deprecated) : null,
+              codepoint: icon.codepoint,
+              variantOf: icon.variantOf,
+              variant: icon.variant,
+              fontClass: icon.codepoint ? `icon icon-${name}` : null,
+              image: icon.format === 'svg' ? toSvgDataUri(fs.readFileSync(icon.path, 'utf8')) : null,
+              snippets: this.getCatalogSnippets(brandName, packageName, icon)
+            };
+          })
+        };
+      });
+      
+      const html = generateCatalogHtml({
+        title: `${this.config.package.scope} icons`,
+        generatedAt: new Date().toISOString(),
+        figma: this.tokenManager.getFigmaSource(),
+        totalBrands: summary.totalBrands,
+        totalIcons: summary.totalIcons,
+        brands
+      });
+      
+      fs.writeFileSync(path.join(catalogDir, 'index.html'), html);
+      this.log(`Generated catalog of ${summary.totalIcons} icons: ${path.join(catalogDir, 'index.html')}`, 'success');
+      return summary.totalIcons;
+    
+    } catch (error) {
+      this.log(`Catalog generation failed: ${error.message}`, 'error');
+      throw error;
+    }
+  }
+  
   async generatePackageJson(brandName, icons, brandDistDir) {
     try {
-      const packageName = `@your-org/icons-${brandName}`;
+      const packageConfig = this.config.getBrandConfig(brandName).package;
       const packageContent = {
-        name: packageName,
-        version: '1.0.0',
+        name: this.config.getPackageName(brandName),
+        version: packageConfig.version,
         description: `Icon package for ${brandName} brand`,
         main: './svg/icons.js',
         types: './types/index.d.ts',
         files: [
           'svg/',
           'png/',
+          'webp/',
+          'avif/',
+          'rasters.json',
           'fonts/',
+          'css/',
           'webcomponents/',
+          'react/',
+          'vue/',
+          'svelte/',
+          'sprite/',
+          'android/',
+          'ios/',
           'types/'
         ],
         exports: {
           '.': {
+            types: './types/index.d.ts',
             import: './svg/icons.js',
-            require: './svg/icons.js',
-            types: './types/index.d.ts'
+            require: './svg/icons.js'
+          },
+          './svg': {
+            types: './types/index.d.ts',
+            default: './svg/icons.js'
           },
-          './svg': './svg/icons.js',
           './png': './png/',
+          './png/*': './png/*',
+          './webp/*': './webp/*',
+          './avif/*': './avif/*',
+          './rasters.json': './rasters.json',
           './fonts': './fonts/',
-          './webcomponents': './webcomponents/icons.js'
+          './css': './css/icons.css',
+          './css/*': './css/*',
+          './webcomponents': {
+            types: './types/webcomponents.d.ts',
+            default: './webcomponents/icons.js'
+          },
+          './react': {
+            types: './types/react.d.ts',
+            default: './react/index.js'
+          },
+          './vue': {
+            types: './types/vue.d.ts',
+            default: './vue/index.js'
+          },
+          './svelte': {
+            types: './types/svelte.d.ts',
+            svelte: './svelte/index.js',
+            default: './svelte/index.js'
+          },
+          './sprite': {
+            types: './types/sprite.d.ts',
+            default: './sprite/index.js'
+          },
+          './sprite.svg': './sprite/sprite.svg',
+          './android/*': './android/*',
+          './ios/*': './ios/*'
+        },
+        sideEffects: ['./webcomponents/*.js', '*.css'],
+        peerDependencies: {
+          react: '>=16.8.0',
+          vue: '>=3.0.0',
+          svelte: '>=3.0.0'
+        },
+        peerDependenciesMeta: {
+          react: {
+            optional: true
+          },
+          vue: {
+            optional: true
+          },
+          svelte: {
+            optional: true
+          }
         },
         scripts: {
           build: 'echo "Built by icon-tokens build system"'
         },
         keywords: ['icons', 'svg', 'design-system', brandName],
-        author: 'Your Organization',
-        license: 'MIT',
+        author: packageConfig.author,
+        license: packageConfig.license,
         repository: {
           type: 'git',
-          url: 'https://gitlab.com/your-org/icons'
+          url: packageConfig.repository
         },
         publishConfig: {
-          registry: 'https://gitlab.com/api/v4/projects/YOUR_PROJECT_ID/packages/npm/'
+          registry: packageConfig.registry
         },
         metadata: {
           brand: brandName,
@@ -494,8 +1782,13 @@ export const availableIcons = [${icons.map(icon => `'${icon.name}'`).join(', ')}
           icons: icons.map(icon => ({
             name: icon.name,
             filename: icon.filename,
-            format: icon.format
-          }))
+            format: icon.format,
+            ...(icon.variantOf ? { variantOf: icon.variantOf, variant: icon.variant } : {})
+          })),
+          // Icon names by component set, for pickers that switch between variants
+          variants: TokenManager.groupVariants(icons),
+          // The Figma file version the icons were synced from
+          figma: this.tokenManager.getFigmaSource()
         }
       };
       
@@ -519,6 +1812,20 @@ export const availableIcons = [${icons.map(icon => `'${icon.name}'`).join(', ')}
     this.log(`   Duration: ${duration}ms`);
     this.log(`   Brands: ${successCount}/${totalBrands}`);
     this.log(`   Total Icons: ${this.buildStats.totalIcons}`);
+    
+    const { originalBytes, optimizedBytes } = this.buildStats.optimization;
+    if (originalBytes > 0) {
+      const saved = originalBytes - optimizedBytes;
+      this.log(`   SVG bytes saved: ${saved} of ${originalBytes} (-${Math.round((saved / originalBytes) * 100)}%)`);
+    }
+    if (this.lint) {
+      this.log(`   Lint: ${this.buildStats.lint.errors} errors, ${this.buildStats.lint.warnings} warnings`);
+    }
+    
+    const { skippedBrands, skippedPlatforms, skippedIcons, prunedFiles } = this.buildStats.cache;
+    if (skippedBrands + skippedPlatforms + skippedIcons + prunedFiles > 0) {
+      this.log(`   Cache: ${skippedBrands} brands and ${skippedPlatforms} platform builds skipped, rasters of ${skippedIcons} icons reused, ${prunedFiles} stale files removed`);
+    }
     this.log(`   Errors: ${this.buildStats.errors.length}`);
     
     if (this.buildStats.errors.length > 0) {
@@ -545,11 +1852,16 @@ async function build(platform = 'all', options = {}) {
 // Command line execution
 if (require.main === module) {
   const args = process.argv.slice(2);
-  const platform = args[0] || 'all';
+  let platform = 'all';
   const options = {};
   
-  // Parse additional arguments
-  for (let i = 1; i < args.length; i++) {
+  // The platform is the one argument that isn't an option
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) {
+      platform = args[i];
+      continue;
+    }
+    
     switch (args[i]) {
       case '--brands':
         options.brands = args[++i].split(',');
@@ -557,11 +1869,27 @@ if (require.main === module) {
       case '--verbose':
         options.verbose = true;
         break;
+      case '--no-optimize':
+        options.optimize = { enabled: false };
+        break;
+      case '--no-lint':
+        options.lint = false;
+        break;
+      case '--config':
+        options.configPath = args[++i];
+        break;
+      case '--force':
+        options.force = true;
+        break;
     }
   }
   
   build(platform, options).then(success => {
     process.exit(success ? 0 : 1);
+  }).catch(error => {
+    // Config errors surface before the builder exists
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
   });
 }
 
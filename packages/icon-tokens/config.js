@@ -1,6 +1,13 @@
 // Simple Icon Tokens Configuration
 const fs = require('fs');
 const path = require('path');
+const { javascriptIconsFormat } = require('./src/utils/icon-formats');
+const { FontGenerator } = require('./src/utils/font-generator');
+const { RasterGenerator } = require('./src/utils/raster-generator');
+const { TokenManager } = require('./src/utils/token-manager');
+const { ProjectConfig } = require('./src/utils/project-config');
+const { SvgLinter } = require('./src/utils/svg-linter');
+const { SvgOptimizer } = require('./src/utils/svg-optimizer');
 
 // Utility function for logging
 function log(message, type = 'info') {
@@ -25,30 +32,149 @@ function checkFile(filePath, description) {
   }
 }
 
+// List SVG files below a directory as '/'-separated paths relative to it
+function listSvgFiles(dir, relativeDir = '') {
+  const files = [];
+  
+  for (const entry of fs.readdirSync(path.join(dir, relativeDir), { withFileTypes: true })) {
+    const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+    
+    if (entry.isDirectory()) {
+      files.push(...listSvgFiles(dir, relativePath));
+    } else if (entry.isFile() && path.extname(entry.name).toLowerCase() === '.svg') {
+      files.push(relativePath);
+    }
+  }
+  
+  return files;
+}
+
+// Discover icons from the tokens file, plus any SVG in the assets tree that
+// has no token yet, so adding an icon never needs a code change
+function discoverIcons(assetsDir, tokensFile) {
+  const tokens = JSON.parse(fs.readFileSync(tokensFile, 'utf8'));
+  const iconsByPath = new Map();
+  
+  for (const [key, token] of Object.entries(tokens.icon || {})) {
+    // Alias tokens point at another icon's asset
+    if (token.aliasOf || typeof token.value !== 'string' || !token.value.endsWith('.svg')) continue;
+    
+    iconsByPath.set(token.value, {
+      key,
+      name: token.name || path.basename(token.value, '.svg'),
+      relativePath: token.value,
+      codepoint: token.codepoint ? TokenManager.parseCodepoint(token.codepoint) : null,
+      deprecated: token.deprecated || null
+    });
+  }
+  
+  for (const relativePath of listSvgFiles(assetsDir)) {
+    if (!iconsByPath.has(relativePath)) {
+      iconsByPath.set(relativePath, {
+        key: relativePath.replace(/\.svg$/i, '').replace(/\//g, '-'),
+        name: path.basename(relativePath, path.extname(relativePath)),
+        relativePath,
+        codepoint: null,
+        deprecated: null
+      });
+    }
+  }
+  
+  const icons = Array.from(iconsByPath.values());
+  
+  // The same icon name in two brands would collide in dist/, fall back to the token key
+  const nameCounts = icons.reduce((counts, icon) => {
+    counts[icon.name] = (counts[icon.name] || 0) + 1;
+    return counts;
+  }, {});
+  
+  return icons
+    .map(icon => ({
+      ...icon,
+      name: nameCounts[icon.name] > 1 ? icon.key : icon.name,
+      path: path.join(assetsDir, ...icon.relativePath.split('/'))
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Highest codepoint any brand's font ever used, from the token file
+function getCodepointHighWaterMark(tokensFile) {
+  const tokens = JSON.parse(fs.readFileSync(tokensFile, 'utf8'));
+  const brands = Object.keys((tokens.$extensions && tokens.$extensions.codepoints) || {});
+  return Math.max(-1, ...brands.map(brand => TokenManager.getCodepointHighWaterMark(tokens, brand)));
+}
+
+// All brands share the single font, so their persisted codepoints can
+// collide. The first icon keeps a codepoint; later ones, and icons without
+// one, get new values above every codepoint ever assigned.
+function assignFontCodepoints(icons, startUnicode, highWaterMark) {
+  const usedCodepoints = new Set();
+  let nextCodepoint = Math.max(startUnicode - 1, highWaterMark, ...icons.map(icon => icon.codepoint || 0)) + 1;
+  
+  return icons.reduce((acc, icon) => {
+    const codepoint = icon.codepoint && !usedCodepoints.has(icon.codepoint) ? icon.codepoint : nextCodepoint++;
+    usedCodepoints.add(codepoint);
+    acc[icon.name] = codepoint;
+    return acc;
+  }, {});
+}
+
+function toPascalCase(name) {
+  return name
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+}
+
 // Main build function
-async function build(platform = 'all') {
+async function build(platform = 'all', options = {}) {
   try {
     log('🚀 Starting icon token build process...');
     log(`Platform: ${platform}`);
     log(`Working directory: ${process.cwd()}`);
     
+    const projectConfig = ProjectConfig.load({ configPath: options.configPath });
+    if (projectConfig.configPath) {
+      log(`Using config: ${projectConfig.configPath}`);
+    }
+    
     // Check required files
-    const assetsDir = path.join(process.cwd(), 'assets');
-    const tokensFile = path.join(process.cwd(), 'tokens', 'icons.json');
+    const assetsDir = projectConfig.assetsDir;
+    const tokensFile = path.join(projectConfig.tokensDir, 'icons.json');
     
     if (!checkFile(assetsDir, 'Assets directory')) return false;
     if (!checkFile(tokensFile, 'Tokens file')) return false;
     
     // Check individual SVG files
-    const svgFiles = ['hamburger.svg', 'ice-cream.svg'];
-    for (const file of svgFiles) {
-      const filePath = path.join(assetsDir, file);
-      if (!checkFile(filePath, `SVG file ${file}`)) return false;
+    const icons = discoverIcons(assetsDir, tokensFile);
+    if (icons.length === 0) {
+      log(`No SVG icons found in ${tokensFile} or ${assetsDir}`, 'error');
+      return false;
+    }
+    
+    for (const icon of icons) {
+      if (!checkFile(icon.path, `SVG file ${icon.relativePath}`)) return false;
+    }
+    log(`Discovered ${icons.length} icons`);
+    
+    // Broken sources fail the build before anything is written
+    if (projectConfig.lint.enabled) {
+      const linter = new SvgLinter(projectConfig.lint);
+      const lintReport = SvgLinter.createReport(
+        icons.map(icon => ({ name: icon.relativePath, ...linter.lintFile(icon.path) }))
+      );
+      
+      SvgLinter.formatReport(lintReport).forEach(line => log(line));
+      if (lintReport.errors > 0) {
+        log(`SVG lint failed with ${lintReport.errors} errors`, 'error');
+        return false;
+      }
     }
     
     // Load dependencies
     log('Loading dependencies...');
-    let StyleDictionary, sharp, webfont;
+    let StyleDictionary, sharp, webfont, svgOptimizer;
     
     try {
       const StyleDictionaryModule = require('style-dictionary');
@@ -76,8 +202,16 @@ async function build(platform = 'all') {
       return false;
     }
     
+    try {
+      svgOptimizer = new SvgOptimizer(projectConfig.getOptimizerOptions());
+      log(svgOptimizer.enabled ? '✅ svgo loaded' : 'ℹ️ svgo optimization disabled');
+    } catch (error) {
+      log(`Failed to load svgo: ${error.message}`, 'error');
+      return false;
+    }
+    
     // Create output directory
-    const distDir = path.join(process.cwd(), 'dist');
+    const distDir = projectConfig.distDir;
     if (!fs.existsSync(distDir)) {
       fs.mkdirSync(distDir, { recursive: true });
       log(`Created output directory: ${distDir}`, 'success');
@@ -86,6 +220,11 @@ async function build(platform = 'all') {
     // Simple Style Dictionary configuration
     const config = {
       source: [tokensFile],
+      hooks: {
+        formats: {
+          'javascript/es6-icons': javascriptIconsFormat
+        }
+      },
       platforms: {}
     };
     
@@ -96,7 +235,7 @@ async function build(platform = 'all') {
         buildPath: path.join(distDir, 'svg') + path.sep,
         files: [{
           destination: 'icons.js',
-          format: 'javascript/es6'
+          format: 'javascript/es6-icons'
         }]
       };
     }
@@ -106,25 +245,36 @@ async function build(platform = 'all') {
     const sd = new StyleDictionary(config);
     await sd.buildAllPlatforms();
     
+    // Optimize once up front so every output format uses the same SVGs
+    const optimizedDir = path.join(distDir, '.optimized');
+    const optimization = optimizeIcons(icons, optimizedDir, svgOptimizer);
+    const outputIcons = optimization.icons;
+    
     // Generate additional outputs
     if (platform === 'all' || platform === 'svg') {
-      await generateSVGFiles(distDir);
+      await generateSVGFiles(distDir, outputIcons);
     }
     
     if (platform === 'all' || platform === 'png') {
-      await generatePNGFiles(distDir, sharp);
+      await generatePNGFiles(distDir, outputIcons, sharp, projectConfig.png);
     }
     
     if (platform === 'all' || platform === 'font') {
-      await generateFontFiles(distDir, webfont);
+      await generateFontFiles(distDir, outputIcons, webfont, projectConfig.font, getCodepointHighWaterMark(tokensFile));
     }
     
     if (platform === 'all' || platform === 'webcomponent') {
-      await generateWebComponents(distDir);
+      await generateWebComponents(distDir, outputIcons);
     }
     
+    fs.rmSync(optimizedDir, { recursive: true, force: true });
+    
     log('🎉 Build completed successfully!', 'success');
     log(`Output directory: ${distDir}`);
+    if (optimization.originalBytes > 0) {
+      const saved = optimization.originalBytes - optimization.optimizedBytes;
+      log(`SVG bytes saved: ${saved} of ${optimization.originalBytes} (-${Math.round((saved / optimization.originalBytes) * 100)}%)`);
+    }
     return true;
     
   } catch (error) {
@@ -134,8 +284,37 @@ async function build(platform = 'all') {
   }
 }
 
+// Write optimized copies of the icons below optimizedDir and point the icons
+// at them. Per-brand optimize settings apply by the icon's top-level folder.
+function optimizeIcons(icons, optimizedDir, svgOptimizer) {
+  const optimization = { icons, originalBytes: 0, optimizedBytes: 0 };
+  if (!svgOptimizer.enabled) {
+    return optimization;
+  }
+  
+  optimization.icons = icons.map(icon => {
+    const segments = icon.relativePath.split('/');
+    const brandName = segments.length > 1 ? segments[0] : undefined;
+    const result = svgOptimizer.optimize(fs.readFileSync(icon.path, 'utf8'), brandName, icon.path);
+    const optimizedPath = path.join(optimizedDir, ...segments);
+    
+    fs.mkdirSync(path.dirname(optimizedPath), { recursive: true });
+    fs.writeFileSync(optimizedPath, result.data);
+    
+    const percent = result.originalSize > 0 ? Math.round((result.saved / result.originalSize) * 100) : 0;
+    log(`Optimized ${icon.relativePath}: ${result.originalSize} → ${result.optimizedSize} bytes (-${percent}%)`, 'success');
+    
+    optimization.originalBytes += result.originalSize;
+    optimization.optimizedBytes += result.optimizedSize;
+    
+    return { ...icon, sourcePath: icon.path, path: optimizedPath };
+  });
+  
+  return optimization;
+}
+
 // Generate individual SVG files
-async function generateSVGFiles(distDir) {
+async function generateSVGFiles(distDir, icons) {
   try {
     log('Generating SVG files...');
     const svgDir = path.join(distDir, 'svg');
@@ -143,12 +322,10 @@ async function generateSVGFiles(distDir) {
       fs.mkdirSync(svgDir, { recursive: true });
     }
     
-    const svgFiles = ['hamburger.svg', 'ice-cream.svg'];
-    for (const file of svgFiles) {
-      const srcPath = path.join(process.cwd(), 'assets', file);
-      const destPath = path.join(svgDir, file);
-      fs.copyFileSync(srcPath, destPath);
-      log(`Copied ${file} to ${destPath}`, 'success');
+    for (const icon of icons) {
+      const destPath = path.join(svgDir, `${icon.name}.svg`);
+      fs.copyFileSync(icon.path, destPath);
+      log(`Copied ${icon.relativePath} to ${destPath}`, 'success');
     }
   } catch (error) {
     log(`SVG generation failed: ${error.message}`, 'error');
@@ -156,37 +333,29 @@ async function generateSVGFiles(distDir) {
 }
 
 // Generate PNG files
-async function generatePNGFiles(distDir, sharp) {
+async function generatePNGFiles(distDir, icons, sharp, pngConfig) {
   try {
     log('Generating PNG files...');
-    const pngDir = path.join(distDir, 'png');
-    if (!fs.existsSync(pngDir)) {
-      fs.mkdirSync(pngDir, { recursive: true });
-    }
     
-    const svgFiles = ['hamburger.svg', 'ice-cream.svg'];
-    const sizes = [16, 24, 32, 48, 64];
-    
-    for (const file of svgFiles) {
-      const svgPath = path.join(process.cwd(), 'assets', file);
-      const baseName = path.basename(file, '.svg');
-      
-      for (const size of sizes) {
-        const pngPath = path.join(pngDir, `${baseName}-${size}.png`);
-        await sharp(svgPath)
-          .resize(size, size)
-          .png()
-          .toFile(pngPath);
-        log(`Generated ${baseName}-${size}.png`, 'success');
-      }
-    }
+    const rasterGenerator = new RasterGenerator(sharp, pngConfig);
+    const entries = await rasterGenerator.generate(
+      icons,
+      distDir,
+      entry => log(`Generated ${entry.file} (${entry.width}x${entry.height})`, 'success')
+    );
+    
+    fs.writeFileSync(
+      path.join(distDir, 'rasters.json'),
+      JSON.stringify(rasterGenerator.createManifest(entries), null, 2)
+    );
+    log(`Generated rasters.json with ${entries.length} entries`, 'success');
   } catch (error) {
     log(`PNG generation failed: ${error.message}`, 'error');
   }
 }
 
 // Generate font files
-async function generateFontFiles(distDir, webfont) {
+async function generateFontFiles(distDir, icons, webfont, fontConfig, highWaterMark = -1) {
   try {
     log('Generating font files...');
     const fontDir = path.join(distDir, 'fonts');
@@ -194,69 +363,38 @@ async function generateFontFiles(distDir, webfont) {
       fs.mkdirSync(fontDir, { recursive: true });
     }
     
-    // Change working directory temporarily for webfont
-    const originalCwd = process.cwd();
-    process.chdir(path.join(originalCwd, 'assets'));
-    
-    log(`Changed to assets directory for webfont`);
-    log(`Assets directory contents: ${fs.readdirSync('.').join(', ')}`);
-    
-    const result = await webfont({
-      files: '*.svg',
-      fontName: 'MyIconFont',
-      formats: ['woff2', 'woff', 'ttf'],
-      normalize: true,
-      fontHeight: 1000,
-      descent: 150,
-      startUnicode: 0xe000,
-    });
+    // Glyphs are named after the icons, which are unique across brands
+    const fontGenerator = new FontGenerator(webfont, fontConfig);
+    const fontName = fontConfig.fontName || 'MyIconFont';
+    const codepoints = assignFontCodepoints(icons, fontGenerator.startUnicode, highWaterMark);
     
-    // Restore original working directory
-    process.chdir(originalCwd);
-    log(`Restored working directory to: ${process.cwd()}`);
+    const { fonts, glyphs } = await fontGenerator.generate({
+      fontName,
+      files: icons.map(icon => ({ path: icon.path, name: icon.name })),
+      codepoints
+    });
     
     // Write font files
-    const formats = ['woff2', 'woff', 'ttf'];
-    for (const format of formats) {
-      if (result[format]) {
-        const filePath = path.join(fontDir, `MyIconFont.${format}`);
-        fs.writeFileSync(filePath, result[format]);
-        log(`Generated MyIconFont.${format}`, 'success');
-      }
+    for (const [format, content] of Object.entries(fonts)) {
+      const filePath = path.join(fontDir, `${fontName}.${format}`);
+      fs.writeFileSync(filePath, content);
+      log(`Generated ${fontName}.${format}`, 'success');
     }
     
-    // Generate CSS
-    const cssContent = `@font-face {
-  font-family: 'MyIconFont';
-  src: url('./MyIconFont.woff2') format('woff2'),
-       url('./MyIconFont.woff') format('woff'),
-       url('./MyIconFont.ttf') format('truetype');
-  font-weight: normal;
-  font-style: normal;
-}
-
-.icon {
-  font-family: 'MyIconFont';
-  font-style: normal;
-  font-weight: normal;
-  font-variant: normal;
-  text-transform: none;
-  line-height: 1;
-}
-
-.icon-hamburger::before { content: "\\E000"; }
-.icon-ice-cream::before { content: "\\E001"; }`;
+    // Generate CSS from the glyphs webfont actually put into the font
+    const cssContent = fontGenerator.generateCss(fontName, glyphs, icons);
     
-    fs.writeFileSync(path.join(fontDir, 'MyIconFont.css'), cssContent);
-    log('Generated MyIconFont.css', 'success');
+    fs.writeFileSync(path.join(fontDir, `${fontName}.css`), cssContent);
+    log(`Generated ${fontName}.css`, 'success');
     
   } catch (error) {
     log(`Font generation failed: ${error.message}`, 'error');
+    throw error;
   }
 }
 
 // Generate web components
-async function generateWebComponents(distDir) {
+async function generateWebComponents(distDir, icons) {
   try {
     log('Generating web components...');
     const webcompDir = path.join(distDir, 'webcomponents');
@@ -264,15 +402,22 @@ async function generateWebComponents(distDir) {
       fs.mkdirSync(webcompDir, { recursive: true });
     }
     
-    const svgFiles = ['hamburger.svg', 'ice-cream.svg'];
-    const iconMap = svgFiles.map(file => {
-      const iconName = path.basename(file, '.svg');
-      const svgPath = path.join(process.cwd(), 'assets', file);
-      const svgContent = fs.readFileSync(svgPath, 'utf8');
-      return `    '${iconName}': \`${svgContent.replace(/`/g, '\\`')}\``;
+    const iconMap = icons.map(icon => {
+      const svgContent = fs.readFileSync(icon.path, 'utf8');
+      return `    '${icon.name}': \`${svgContent.replace(/`/g, '\\`')}\``;
     }).join(',\n');
     
+    const deprecatedIconMap = icons
+      .filter(icon => icon.deprecated)
+      .map(icon => `  '${icon.name}': ${JSON.stringify(TokenManager.formatDeprecation(icon.deprecated))}`)
+      .join(',\n');
+    
     const webComponentContent = `// Auto-generated icon web components
+const deprecatedIcons = {
+${deprecatedIconMap}
+};
+const warnedDeprecatedIcons = new Set();
+
 class IconComponent extends HTMLElement {
   constructor() {
     super();
@@ -288,6 +433,11 @@ class IconComponent extends HTMLElement {
 ${iconMap}
     };
     
+    if (deprecatedIcons[iconName] && !warnedDeprecatedIcons.has(iconName)) {
+      warnedDeprecatedIcons.add(iconName);
+      console.warn(\`Icon '\${iconName}' is deprecated. \${deprecatedIcons[iconName]}\`);
+    }
+    
     if (iconMap[iconName]) {
       this.shadowRoot.innerHTML = \`
         <style>
@@ -313,18 +463,18 @@ ${iconMap}
 customElements.define('icon-component', IconComponent);
 
 // Export individual icon functions for programmatic use
-${svgFiles.map(file => {
-  const iconName = path.basename(file, '.svg');
-  return `export function create${iconName.charAt(0).toUpperCase() + iconName.slice(1)}Icon(size = 24, color = 'currentColor') {
+${icons.map(icon => {
+  return `export function create${toPascalCase(icon.name)}Icon(size = 24, color = 'currentColor') {
   const iconEl = document.createElement('icon-component');
-  iconEl.setAttribute('name', '${iconName}');
+  iconEl.setAttribute('name', '${icon.name}');
   iconEl.setAttribute('size', size);
   iconEl.setAttribute('color', color);
   return iconEl;
 }`;
 }).join('\n\n')}
 
-export { IconComponent };`;
+export { IconComponent };
+export const availableIcons = [${icons.map(icon => `'${icon.name}'`).join(', ')}];`;
     
     fs.writeFileSync(path.join(webcompDir, 'icons.js'), webComponentContent);
     log('Generated icons.js web component', 'success');
@@ -336,8 +486,19 @@ export { IconComponent };`;
 
 // Command line execution
 if (require.main === module) {
-  const platform = process.argv[2] || 'all';
-  build(platform).then(success => {
+  const args = process.argv.slice(2);
+  let platform = 'all';
+  const options = {};
+  
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--config') {
+      options.configPath = args[++i];
+    } else if (!args[i].startsWith('--')) {
+      platform = args[i];
+    }
+  }
+  
+  build(platform, options).then(success => {
     process.exit(success ? 0 : 1);
   });
 }
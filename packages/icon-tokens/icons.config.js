@@ -0,0 +1,79 @@
+// Icon pipeline configuration, read by config.js, config-multi-brand.js and
+// the Figma sync. Every option is optional; omitted ones keep the defaults
+// from src/utils/project-config.js. Directories are relative to this file.
+module.exports = {
+  assetsDir: 'assets',
+  tokensDir: 'tokens',
+  distDir: 'dist',
+  
+  // Generated per-brand package.json files
+  package: {
+    scope: '@your-org',
+    namePrefix: 'icons-',
+    version: '1.0.0',
+    author: 'Your Organization',
+    license: 'MIT',
+    repository: 'https://gitlab.com/your-org/icons',
+    registry: 'https://gitlab.com/api/v4/projects/YOUR_PROJECT_ID/packages/npm/'
+  },
+  
+  png: {
+    sizes: [16, 24, 32, 48, 64],
+    // densities: [1, 2, 3], // also render @2x and @3x files (default: 1x only)
+    formats: ['png'], // add 'webp' and/or 'avif' for modern browsers
+    padding: 0
+    // tint: '#1f2937'
+  },
+  
+  font: {
+    // fontName: 'MyIconFont', // defaults to '<Brand>IconFont' per brand
+    startUnicode: 0xe000,
+    formats: ['woff2', 'woff', 'ttf']
+  },
+  
+  optimize: {
+    enabled: true,
+    multipass: true,
+    keepViewBox: true,
+    currentColor: true
+  },
+  
+  // SVG validation during Figma sync and before builds. Severities are
+  // 'error' (fails the sync/build), 'warning' (reported only) or 'off'.
+  lint: {
+    enabled: true,
+    rules: {
+      'require-viewbox': { severity: 'error' },
+      'artboard-size': { severity: 'off', width: 24, height: 24 },
+      'no-raster-images': { severity: 'error' },
+      'no-scripts': { severity: 'error' },
+      'no-external-references': { severity: 'error' },
+      'no-hardcoded-colors': { severity: 'warning', allow: ['currentColor', 'none', 'transparent', 'inherit'] },
+      'max-paths': { severity: 'warning', max: 20 },
+      'max-file-size': { severity: 'error', maxBytes: 10240 }
+    }
+  },
+  
+  figma: {
+    // fileKey: 'abc123', // FIGMA_FILE_KEY takes precedence
+    baseUrl: 'https://api.figma.com/v1',
+    containers: [],
+    retryAttempts: 3,
+    retryDelay: 1000,
+    maxRetryDelay: 60000, // fail instead of waiting longer for a 429's Retry-After
+    rateLimit: 100,       // API requests per minute
+    burst: 10,
+    downloadRateLimit: 1200, // SVG downloads per minute, limited separately from the API
+    exportChunkSize: 100, // large libraries are exported in several requests
+    concurrency: 8,
+    timeout: 30000
+  },
+  
+  // Per-brand overrides of the package, png, font, optimize and lint sections
+  brands: {
+    // 'brand-a': {
+    //   png: { sizes: [24, 48] },
+    //   font: { fontName: 'BrandAIcons' }
+    // }
+  }
+};
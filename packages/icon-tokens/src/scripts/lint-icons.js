@@ -0,0 +1,109 @@
+const { BrandManager } = require('../utils/brand-manager');
+const { ProjectConfig } = require('../utils/project-config');
+const { SvgLinter } = require('../utils/svg-linter');
+const fs = require('fs');
+const path = require('path');
+
+// Lints every brand's SVG sources and reports whether the run passes:
+// no errors, and no more warnings than `maxWarnings` (when set)
+function lintIcons(options = {}) {
+  const config = options.config || ProjectConfig.load({ configPath: options.configPath });
+  const brandManager = new BrandManager(options.assetsDir || config.assetsDir);
+  const brandNames = options.brands && options.brands.length > 0
+    ? options.brands
+    : brandManager.getAllBrands().map(brand => brand.name);
+  
+  const report = SvgLinter.lintBrands(brandManager, config, brandNames);
+  const tooManyWarnings = options.maxWarnings !== undefined && report.warnings > options.maxWarnings;
+  
+  return {
+    ...report,
+    passed: report.errors === 0 && !tooManyWarnings,
+    tooManyWarnings
+  };
+}
+
+function printUsage() {
+  console.log(`
+Usage: node lint-icons.js [options]
+
+Options:
+  --brands <names>        Comma-separated brands to lint (default: all)
+  --assets-dir <dir>      Assets directory path (default: from icons.config.js)
+  --config <path>         Project config file (default: ./icons.config.js or ./icons.config.json)
+  --max-warnings <count>  Fail when there are more warnings than this
+  --json <file>           Also write the report as JSON, e.g. for CI artifacts
+  --help                  Show this help message
+
+Exits with 1 when an icon has lint errors or there are too many warnings.
+        `);
+}
+
+// CLI execution
+function main() {
+  const args = process.argv.slice(2);
+  const options = {};
+  
+  // Value of the option at args[i], which must not be missing or another option
+  const readValue = (i) => {
+    if (i + 1 >= args.length || args[i + 1].startsWith('--')) {
+      console.error(`❌ ${args[i]} requires a value`);
+      printUsage();
+      process.exit(1);
+    }
+    return args[i + 1];
+  };
+  
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--brands':
+        options.brands = readValue(i++).split(',').map(name => name.trim()).filter(Boolean);
+        break;
+      case '--assets-dir':
+        options.assetsDir = readValue(i++);
+        break;
+      case '--config':
+        options.configPath = readValue(i++);
+        break;
+      case '--max-warnings':
+        options.maxWarnings = parseInt(readValue(i++), 10);
+        break;
+      case '--json':
+        options.jsonFile = readValue(i++);
+        break;
+      case '--help':
+        printUsage();
+        process.exit(0);
+        break;
+    }
+  }
+  
+  try {
+    const report = lintIcons(options);
+    
+    for (const line of SvgLinter.formatReport(report)) {
+      console.log(line);
+    }
+    
+    if (options.jsonFile) {
+      const { passed, tooManyWarnings, ...jsonReport } = report;
+      fs.writeFileSync(path.resolve(options.jsonFile), JSON.stringify({ passed, ...jsonReport }, null, 2));
+    }
+    
+    if (report.tooManyWarnings) {
+      console.log(`❌ ${report.warnings} warnings exceed --max-warnings ${options.maxWarnings}`);
+    }
+    
+    console.log(report.passed ? '✅ SVG lint passed' : '❌ SVG lint failed');
+    process.exit(report.passed ? 0 : 1);
+  } catch (error) {
+    console.error('❌ SVG lint failed:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { lintIcons };
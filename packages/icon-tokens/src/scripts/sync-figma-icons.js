@@ -1,5 +1,8 @@
 const { FigmaApiService, FigmaApiError } = require('../services/figma-api');
 const { BrandManager, BrandManagerError } = require('../utils/brand-manager');
+const { TokenManager } = require('../utils/token-manager');
+const { ProjectConfig } = require('../utils/project-config');
+const { SvgLinter } = require('../utils/svg-linter');
 const fs = require('fs');
 const path = require('path');
 
@@ -30,22 +33,32 @@ class FigmaSyncError extends Error {
 
 class FigmaIconSync {
   constructor(options = {}) {
-    this.figmaFileKey = options.figmaFileKey || process.env.FIGMA_FILE_KEY;
+    this.config = options.config || ProjectConfig.load({ configPath: options.configPath });
+    this.figmaFileKey = options.figmaFileKey || process.env.FIGMA_FILE_KEY || this.config.figma.fileKey;
+    // A version id from the file's history; the latest state when not set
+    this.figmaVersion = options.figmaVersion || process.env.FIGMA_FILE_VERSION || null;
     this.accessToken = options.accessToken || process.env.FIGMA_ACCESS_TOKEN;
-    this.assetsDir = options.assetsDir || path.join(process.cwd(), 'assets');
-    this.tokensDir = options.tokensDir || path.join(process.cwd(), 'tokens');
+    this.assetsDir = options.assetsDir || this.config.assetsDir;
+    this.tokensDir = options.tokensDir || this.config.tokensDir;
     this.dryRun = options.dryRun || false;
     this.verbose = options.verbose || false;
+    this.containers = options.containers || this.config.figma.containers;
+    this.keepRenamedAliases = options.keepRenamedAliases || false;
+    this.removeAfter = options.removeAfter || null;
+    this.currentVersion = options.currentVersion || null;
     
     this.validateConfiguration();
     
     this.figmaApi = new FigmaApiService({
       accessToken: this.accessToken,
-      retryAttempts: 3,
-      retryDelay: 1000
+      baseUrl: options.baseUrl,
+      config: this.config,
+      containers: this.containers
     });
     
     this.brandManager = new BrandManager(this.assetsDir);
+    this.linters = {};
+    this.lintResults = [];
     
     this.syncStats = {
       startTime: null,
@@ -54,7 +67,17 @@ class FigmaIconSync {
       totalIcons: 0,
       added: 0,
       updated: 0,
+      unchanged: 0,
+      renamed: 0,
+      deprecated: 0,
       removed: 0,
+      lint: {
+        errors: 0,
+        warnings: 0,
+        rejected: 0
+      },
+      api: null,
+      source: null,
       errors: []
     };
   }
@@ -62,7 +85,7 @@ class FigmaIconSync {
   validateConfiguration() {
     if (!this.figmaFileKey) {
       throw new FigmaSyncError(
-        'Figma file key is required. Set FIGMA_FILE_KEY environment variable.',
+        'Figma file key is required. Set FIGMA_FILE_KEY environment variable or figma.fileKey in icons.config.js.',
         'MISSING_FILE_KEY'
       );
     }
@@ -102,13 +125,18 @@ class FigmaIconSync {
       
       // Get current state
       const currentBrands = this.brandManager.getAllBrands();
-      const currentState = this.buildCurrentState(currentBrands);
+      const previousTokens = this.loadExistingTokens();
+      const currentState = this.buildCurrentState(currentBrands, previousTokens);
       
       this.log(`📁 Found ${currentBrands.length} existing brands`);
       
       // Fetch from Figma
       this.log('📥 Fetching icons from Figma...');
-      const figmaIcons = await this.figmaApi.getIconsByBrand(this.figmaFileKey);
+      const file = await this.fetchFile();
+      const figmaIcons = await this.figmaApi.getIconsByBrand(this.figmaFileKey, {
+        file,
+        version: this.figmaVersion
+      });
       
       this.syncStats.totalBrands = Object.keys(figmaIcons).length;
       this.syncStats.totalIcons = Object.values(figmaIcons).reduce((sum, icons) => sum + icons.length, 0);
@@ -119,20 +147,23 @@ class FigmaIconSync {
       const downloadResults = await this.downloadAndSyncIcons(figmaIcons, currentState);
       
       // Update tokens
-      await this.updateTokensFile(figmaIcons, downloadResults);
+      await this.updateTokensFile(figmaIcons, downloadResults, previousTokens);
       
       // Generate summary
       this.syncStats.endTime = new Date();
+      this.syncStats.api = this.figmaApi.getMetrics();
       this.generateSyncReport(downloadResults);
       
       return {
-        success: true,
+        // Icons rejected by the linter fail the run so CI notices them
+        success: this.syncStats.lint.rejected === 0,
         stats: this.syncStats,
         results: downloadResults
       };
       
     } catch (error) {
       this.syncStats.endTime = new Date();
+      this.syncStats.api = this.figmaApi.getMetrics();
       this.syncStats.errors.push({
         type: 'SYNC_ERROR',
         message: error.message,
@@ -149,18 +180,66 @@ class FigmaIconSync {
     }
   }
   
-  buildCurrentState(brands) {
+  // Fetches the file, at the pinned version when there is one, and records
+  // where the icons come from for the tokens file
+  async fetchFile() {
+    let version = null;
+    
+    if (this.figmaVersion) {
+      version = await this.figmaApi.getFileVersion(this.figmaFileKey, this.figmaVersion);
+      this.log(`📌 Pinned to version ${version.id}${version.label ? ` "${version.label}"` : ''} from ${version.created_at}`);
+    }
+    
+    const file = await this.figmaApi.getFile(this.figmaFileKey, { version: this.figmaVersion });
+    
+    this.syncStats.source = {
+      fileKey: this.figmaFileKey,
+      fileName: file.name || null,
+      version: version ? String(version.id) : file.version || null,
+      versionLabel: version ? version.label || null : null,
+      pinned: !!version,
+      lastModified: file.lastModified || null,
+      syncedAt: new Date().toISOString()
+    };
+    
+    return file;
+  }
+  
+  loadExistingTokens() {
+    const tokensFile = path.join(this.tokensDir, 'icons.json');
+    
+    if (!fs.existsSync(tokensFile)) {
+      return { icon: {} };
+    }
+    
+    try {
+      const tokens = JSON.parse(fs.readFileSync(tokensFile, 'utf8'));
+      return tokens && tokens.icon ? tokens : { icon: {} };
+    } catch (error) {
+      this.log(`Failed to read existing tokens file, ignoring stored hashes: ${error.message}`, 'warning');
+      return { icon: {} };
+    }
+  }
+  
+  buildCurrentState(brands, previousTokens = { icon: {} }) {
     const state = {};
     
     for (const brand of brands) {
       try {
         const icons = this.brandManager.getIconsForBrand(brand.name);
         state[brand.name] = icons.reduce((acc, icon) => {
+          const storedToken = previousTokens.icon[`${brand.name}-${icon.name}`] || {};
+          
           acc[icon.name] = {
             filename: icon.filename,
             path: icon.path,
             size: icon.size,
-            modified: icon.modified
+            modified: icon.modified,
+            hash: this.brandManager.getIconHash(icon.path),
+            storedHash: storedToken.hash || null,
+            componentKey: storedToken.componentKey || null,
+            lastModified: storedToken.lastModified || null,
+            deprecated: storedToken.deprecated || null
           };
           return acc;
         }, {});
@@ -182,6 +261,9 @@ class FigmaIconSync {
       results[brandName] = {
         added: [],
         updated: [],
+        unchanged: [],
+        renamed: [],
+        deprecated: [],
         removed: [],
         errors: [],
         skipped: []
@@ -199,25 +281,99 @@ class FigmaIconSync {
           }
         }
         
+        const brandState = { ...(currentState[brandName] || {}) };
+        
+        // Renames have to be applied before anything else so the renamed
+        // icon is compared against its old file instead of being re-added
+        this.applyRenames(brandName, icons, brandState, results[brandName]);
+        
+        // Skip icons whose file, component key and Figma timestamp all match
+        // the stored state, so they are never downloaded
+        const iconsToDownload = [];
+        
+        for (const icon of icons) {
+          const currentIcon = brandState[icon.name];
+          
+          if (this.isIconUnchanged(icon, currentIcon)) {
+            if (currentIcon.renamedFrom) continue;
+            
+            results[brandName].unchanged.push({
+              name: icon.name,
+              originalName: icon.originalName,
+              hash: currentIcon.hash,
+              action: 'unchanged'
+            });
+            this.syncStats.unchanged++;
+            this.log(`⏭️ Unchanged: ${brandName}/${icon.name}`, 'debug');
+          } else {
+            iconsToDownload.push(icon);
+          }
+        }
+        
         // Download icons for this brand
-        if (icons.length > 0) {
-          const nodeIds = icons.map(icon => icon.id);
+        if (iconsToDownload.length > 0) {
+          const nodeIds = iconsToDownload.map(icon => icon.id);
           
           try {
             const exportResult = await this.figmaApi.exportNodes(
               this.figmaFileKey, 
               nodeIds, 
-              'svg'
+              'svg',
+              this.figmaVersion ? { version: this.figmaVersion } : {},
+              { onProgress: this.createProgressLogger(`📤 ${brandName}: exported`, nodeIds.length) }
+            );
+            
+            // Chunks that failed after their retries only cost their own icons
+            const exportErrors = new Map();
+            for (const chunk of exportResult.failed) {
+              chunk.ids.forEach(id => exportErrors.set(id, chunk.error));
+              this.syncStats.errors.push({
+                type: 'EXPORT_ERROR',
+                brand: brandName,
+                message: `${chunk.ids.length} icons: ${chunk.error.message}`
+              });
+            }
+            
+            const exported = iconsToDownload.filter(icon => exportResult.images[icon.id]);
+            const downloads = await this.figmaApi.downloadSvgs(
+              exported.map(icon => ({ id: icon.id, url: exportResult.images[icon.id] })),
+              { onProgress: this.createProgressLogger(`⬇️ ${brandName}: downloaded`, exported.length) }
             );
             
             // Process each icon
-            for (const icon of icons) {
+            for (const icon of iconsToDownload) {
+              const download = downloads[icon.id];
+              
+              if (!download) {
+                results[brandName].errors.push({
+                  icon: icon.name,
+                  error: exportErrors.has(icon.id)
+                    ? `Failed to export icon: ${exportErrors.get(icon.id).message}`
+                    : 'No export URL provided by Figma'
+                });
+                continue;
+              }
+              
+              if (download.error) {
+                results[brandName].errors.push({
+                  icon: icon.name,
+                  error: download.error.message
+                });
+                this.syncStats.errors.push({
+                  type: 'DOWNLOAD_ERROR',
+                  brand: brandName,
+                  icon: icon.name,
+                  message: download.error.message
+                });
+                continue;
+              }
+              
               try {
                 await this.processIcon(
                   brandName,
                   icon,
-                  exportResult.images[icon.id],
-                  currentState[brandName] || {},
+                  download.content,
+                  brandState,
                   results[brandName]
                 );
               } catch (error) {
@@ -247,7 +403,7 @@ class FigmaIconSync {
         }
         
         // Handle removed icons
-        await this.handleRemovedIcons(brandName, icons, currentState[brandName] || {}, results[brandName]);
+        await this.handleRemovedIcons(brandName, icons, brandState, results[brandName]);
         
       } catch (error) {
         results[brandName].errors.push({
@@ -265,96 +421,199 @@ class FigmaIconSync {
     return results;
   }
   
-  async processIcon(brandName, icon, exportUrl, currentIcons, results) {
-    if (!exportUrl) {
-      results.errors.push({
-        icon: icon.name,
-        error: 'No export URL provided by Figma'
-      });
-      return;
+  detectRenames(figmaIcons, currentIcons) {
+    const figmaIconNames = new Set(figmaIcons.map(icon => icon.name));
+    const missingByKey = new Map();
+    
+    // Only icons that disappeared under their old name can be rename sources
+    for (const [name, currentIcon] of Object.entries(currentIcons)) {
+      if (!figmaIconNames.has(name) && currentIcon.componentKey) {
+        missingByKey.set(currentIcon.componentKey, name);
+      }
     }
     
-    try {
-      // Download SVG content
-      const svgContent = await this.figmaApi.downloadSvg(exportUrl, icon.name);
+    const renames = [];
+    
+    for (const icon of figmaIcons) {
+      if (currentIcons[icon.name] || !icon.componentId) continue;
       
-      // Check if icon already exists
-      const currentIcon = currentIcons[icon.name];
-      const isUpdate = !!currentIcon;
+      const from = missingByKey.get(icon.componentId);
+      if (from) {
+        renames.push({ from, to: icon.name, icon });
+        missingByKey.delete(icon.componentId);
+      }
+    }
+    
+    return renames;
+  }
+  
+  applyRenames(brandName, figmaIcons, brandState, results) {
+    for (const { from, to, icon } of this.detectRenames(figmaIcons, brandState)) {
+      const previous = brandState[from];
       
       if (this.dryRun) {
-        if (isUpdate) {
-          results.updated.push({
-            name: icon.name,
+        results.renamed.push({
+          from,
+          name: to,
+          originalName: icon.originalName,
+          hash: previous.hash,
+          action: 'would-rename'
+        });
+      } else {
+        try {
+          const result = this.brandManager.renameIconInBrand(brandName, from, to);
+          
+          results.renamed.push({
+            from,
+            name: to,
             originalName: icon.originalName,
-            action: 'would-update'
+            path: result.path,
+            hash: previous.hash,
+            action: 'renamed'
           });
-        } else {
-          results.added.push({
-            name: icon.name,
-            originalName: icon.originalName,
-            action: 'would-add'
+          this.syncStats.renamed++;
+          this.log(`🔀 Renamed: ${brandName}/${from} -> ${brandName}/${to}`, 'success');
+          
+          previous.filename = result.filename;
+          previous.path = result.path;
+        } catch (error) {
+          results.errors.push({
+            icon: to,
+            error: `Failed to rename from '${from}': ${error.message}`
           });
+          continue;
         }
-        return;
       }
       
-      // Save the icon
-      const result = this.brandManager.addIconToBrand(
-        brandName,
-        icon.name,
-        svgContent,
-        'svg'
-      );
+      brandState[to] = { ...previous, renamedFrom: from };
+      delete brandState[from];
+    }
+  }
+  
+  isIconUnchanged(icon, currentIcon) {
+    if (!currentIcon || !currentIcon.storedHash) return false;
+    
+    return currentIcon.hash === currentIcon.storedHash &&
+      !!icon.componentId && currentIcon.componentKey === icon.componentId &&
+      !!icon.lastModified && currentIcon.lastModified === icon.lastModified;
+  }
+  
+  async processIcon(brandName, icon, svgContent, currentIcons, results) {
+    const hash = this.brandManager.hashContent(svgContent);
+    
+    // Icons with lint errors never reach the assets directory
+    if (!this.lintIcon(brandName, icon, svgContent, results)) return;
+    
+    // Check if icon already exists
+    const currentIcon = currentIcons[icon.name];
+    const isUpdate = !!currentIcon;
+    
+    if (isUpdate && currentIcon.hash === hash) {
+      if (currentIcon.renamedFrom) return;
       
+      results.unchanged.push({
+        name: icon.name,
+        originalName: icon.originalName,
+        hash,
+        action: 'unchanged'
+      });
+      this.syncStats.unchanged++;
+      this.log(`⏭️ Unchanged: ${brandName}/${icon.name}`, 'debug');
+      return;
+    }
+    
+    if (this.dryRun) {
       if (isUpdate) {
         results.updated.push({
           name: icon.name,
           originalName: icon.originalName,
-          path: result.path,
-          action: 'updated'
+          hash,
+          action: 'would-update'
         });
-        this.syncStats.updated++;
-        this.log(`📝 Updated: ${brandName}/${icon.name}`, 'success');
       } else {
         results.added.push({
           name: icon.name,
           originalName: icon.originalName,
-          path: result.path,
-          action: 'added'
+          hash,
+          action: 'would-add'
         });
-        this.syncStats.added++;
-        this.log(`➕ Added: ${brandName}/${icon.name}`, 'success');
       }
+      return;
+    }
+    
+    // Save the icon
+    if (isUpdate) {
+      const result = this.brandManager.updateIconInBrand(
+        brandName,
+        icon.name,
+        svgContent,
+        'svg'
+      );
       
-    } catch (error) {
-      if (error.code === 'ICON_EXISTS') {
-        // Icon exists but content might be different - this is an update
-        try {
-          // Remove existing and add new
-          this.brandManager.removeIconFromBrand(brandName, icon.name);
-          const result = this.brandManager.addIconToBrand(
-            brandName,
-            icon.name,
-            svgContent,
-            'svg'
-          );
-          
-          results.updated.push({
-            name: icon.name,
-            originalName: icon.originalName,
-            path: result.path,
-            action: 'updated'
-          });
-          this.syncStats.updated++;
-          this.log(`📝 Updated: ${brandName}/${icon.name}`, 'success');
-        } catch (updateError) {
-          throw updateError;
-        }
-      } else {
-        throw error;
+      results.updated.push({
+        name: icon.name,
+        originalName: icon.originalName,
+        path: result.path,
+        hash,
+        action: 'updated'
+      });
+      this.syncStats.updated++;
+      this.log(`📝 Updated: ${brandName}/${icon.name}`, 'success');
+    } else {
+      const result = this.brandManager.addIconToBrand(
+        brandName,
+        icon.name,
+        svgContent,
+        'svg'
+      );
+      
+      results.added.push({
+        name: icon.name,
+        originalName: icon.originalName,
+        path: result.path,
+        hash,
+        action: 'added'
+      });
+      this.syncStats.added++;
+      this.log(`➕ Added: ${brandName}/${icon.name}`, 'success');
+    }
+  }
+  
+  lintIcon(brandName, icon, svgContent, results) {
+    if (!this.linters[brandName]) {
+      this.linters[brandName] = new SvgLinter(this.config.getBrandConfig(brandName).lint);
+    }
+    
+    const result = this.linters[brandName].lint(svgContent);
+    this.lintResults.push({ brand: brandName, name: icon.name, ...result });
+    this.syncStats.lint.errors += result.errors;
+    this.syncStats.lint.warnings += result.warnings;
+    
+    if (result.errors === 0) {
+      if (result.warnings > 0) {
+        this.log(`Lint warnings for ${brandName}/${icon.name}: ${result.violations.map(violation => violation.rule).join(', ')}`, 'warning');
       }
+      return true;
     }
+    
+    const errors = result.violations.filter(violation => violation.severity === 'error');
+    const message = `SVG lint failed: ${errors.map(violation => `${violation.rule} (${violation.message})`).join('; ')}`;
+    
+    results.errors.push({
+      icon: icon.name,
+      error: message,
+      violations: result.violations
+    });
+    this.syncStats.errors.push({
+      type: 'LINT_ERROR',
+      brand: brandName,
+      icon: icon.name,
+      message
+    });
+    this.syncStats.lint.rejected++;
+    this.log(`🚫 Rejected: ${brandName}/${icon.name} (${result.errors} lint errors)`, 'error');
+    
+    return false;
   }
   
   async handleRemovedIcons(brandName, figmaIcons, currentIcons, results) {
@@ -362,34 +621,72 @@ class FigmaIconSync {
     const currentIconNames = Object.keys(currentIcons);
     
     for (const currentIconName of currentIconNames) {
-      if (!figmaIconNames.has(currentIconName)) {
-        if (this.dryRun) {
-          results.removed.push({
-            name: currentIconName,
-            action: 'would-remove'
-          });
-        } else {
-          try {
-            const result = this.brandManager.removeIconFromBrand(brandName, currentIconName);
-            results.removed.push({
-              name: currentIconName,
-              path: result.path,
-              action: 'removed'
-            });
-            this.syncStats.removed++;
-            this.log(`🗑️ Removed: ${brandName}/${currentIconName}`, 'warning');
-          } catch (error) {
-            results.errors.push({
-              icon: currentIconName,
-              error: `Failed to remove: ${error.message}`
-            });
-          }
-        }
+      if (figmaIconNames.has(currentIconName)) continue;
+      
+      const deprecation = currentIcons[currentIconName].deprecated;
+      
+      // Icons missing from Figma are deprecated first and only deleted once
+      // the current version is past their removal version
+      if (!deprecation) {
+        this.deprecateRemovedIcon(brandName, currentIconName, results);
+      } else if (TokenManager.isPastRemoval(deprecation, this.currentVersion)) {
+        this.removeIcon(brandName, currentIconName, results);
+      } else {
+        results.deprecated.push({
+          name: currentIconName,
+          deprecation,
+          action: 'kept-deprecated'
+        });
       }
     }
   }
   
-  async updateTokensFile(figmaIcons, downloadResults) {
+  deprecateRemovedIcon(brandName, iconName, results) {
+    const deprecation = TokenManager.createDeprecation({
+      reason: 'Removed from Figma',
+      removeAfter: this.removeAfter,
+      source: 'figma-sync'
+    });
+    
+    results.deprecated.push({
+      name: iconName,
+      deprecation,
+      action: this.dryRun ? 'would-deprecate' : 'deprecated'
+    });
+    
+    if (!this.dryRun) {
+      this.syncStats.deprecated++;
+      this.log(`⚠️ Deprecated: ${brandName}/${iconName} (${TokenManager.formatDeprecation(deprecation)})`, 'warning');
+    }
+  }
+  
+  removeIcon(brandName, iconName, results) {
+    if (this.dryRun) {
+      results.removed.push({
+        name: iconName,
+        action: 'would-remove'
+      });
+      return;
+    }
+    
+    try {
+      const result = this.brandManager.removeIconFromBrand(brandName, iconName);
+      results.removed.push({
+        name: iconName,
+        path: result.path,
+        action: 'removed'
+      });
+      this.syncStats.removed++;
+      this.log(`🗑️ Removed: ${brandName}/${iconName}`, 'warning');
+    } catch (error) {
+      results.errors.push({
+        icon: iconName,
+        error: `Failed to remove: ${error.message}`
+      });
+    }
+  }
+  
+  async updateTokensFile(figmaIcons, downloadResults, previousTokens = { icon: {} }) {
     if (this.dryRun) {
       this.log('🔍 Would update tokens file', 'debug');
       return;
@@ -397,22 +694,99 @@ class FigmaIconSync {
     
     try {
       const tokensFile = path.join(this.tokensDir, 'icons.json');
-      const tokens = { icon: {} };
+      // The Figma file, version and time of the sync, so that built packages
+      // can be traced back to their design state
+      const tokens = {
+        $extensions: { ...previousTokens.$extensions, figma: this.syncStats.source },
+        icon: {}
+      };
       
       for (const [brandName, icons] of Object.entries(figmaIcons)) {
+        const brandResults = downloadResults[brandName] || {};
+        const syncedIcons = new Map();
+        for (const entry of [
+          ...(brandResults.renamed || []),
+          ...(brandResults.added || []),
+          ...(brandResults.updated || []),
+          ...(brandResults.unchanged || [])
+        ]) {
+          syncedIcons.set(entry.name, { ...syncedIcons.get(entry.name), ...entry });
+        }
+        
         for (const icon of icons) {
           const tokenKey = `${brandName}-${icon.name}`;
+          const synced = syncedIcons.get(icon.name);
+          // Renamed icons inherit the token of their old name (e.g. its codepoint)
+          const previous = previousTokens.icon[tokenKey] ||
+            (synced && synced.from ? previousTokens.icon[`${brandName}-${synced.from}`] : null) ||
+            {};
+          
+          // Deprecations added by hand survive the sync, the ones the sync
+          // added itself are lifted when the icon comes back to Figma
+          const deprecated = previous.deprecated && previous.deprecated.source !== 'figma-sync'
+            ? { deprecated: previous.deprecated }
+            : {};
+          
           tokens.icon[tokenKey] = {
             value: `${brandName}/${icon.name}.svg`,
             type: 'asset',
             description: icon.description || `${icon.originalName} icon`,
             brand: brandName,
             name: icon.name,
-            originalName: icon.originalName
+            originalName: icon.originalName,
+            // Icons that failed to sync keep their previous metadata so the
+            // next run picks them up again
+            hash: synced ? synced.hash : previous.hash || null,
+            componentKey: synced ? icon.componentId : previous.componentKey || null,
+            lastModified: synced ? icon.lastModified : previous.lastModified || null,
+            // Variants of a component set share `variantOf` so builders can group them
+            ...(icon.variant ? {
+              variantOf: icon.variant.of,
+              variant: icon.variant.properties,
+              componentSetKey: icon.variant.setKey
+            } : {}),
+            ...(previous.codepoint ? { codepoint: previous.codepoint } : {}),
+            ...deprecated
+          };
+        }
+        
+        for (const entry of brandResults.deprecated || []) {
+          const tokenKey = `${brandName}-${entry.name}`;
+          const previous = previousTokens.icon[tokenKey];
+          
+          tokens.icon[tokenKey] = {
+            ...(previous || {
+              value: `${brandName}/${entry.name}.svg`,
+              type: 'asset',
+              description: `${entry.name} icon`,
+              brand: brandName,
+              name: entry.name,
+              originalName: entry.name
+            }),
+            deprecated: entry.deprecation
           };
         }
       }
       
+      if (this.keepRenamedAliases) {
+        this.addRenamedAliasTokens(tokens, downloadResults, previousTokens);
+      }
+      
+      // When only the sync time would change, leave the file alone so that
+      // scheduled syncs without design changes do not produce a commit
+      const previousSource = previousTokens.$extensions && previousTokens.$extensions.figma;
+      if (previousSource && this.syncStats.source) {
+        const unchanged = {
+          ...tokens,
+          $extensions: { ...tokens.$extensions, figma: { ...this.syncStats.source, syncedAt: previousSource.syncedAt } }
+        };
+        
+        if (JSON.stringify(unchanged) === JSON.stringify(previousTokens)) {
+          this.log('📄 Tokens file unchanged', 'debug');
+          return;
+        }
+      }
+      
       fs.writeFileSync(tokensFile, JSON.stringify(tokens, null, 2));
       this.log(`📄 Updated tokens file: ${tokensFile}`, 'success');
       
@@ -426,16 +800,74 @@ class FigmaIconSync {
     }
   }
   
+  addRenamedAliasTokens(tokens, downloadResults, previousTokens) {
+    // Aliases from earlier runs stay as long as their target still exists
+    for (const [tokenKey, token] of Object.entries(previousTokens.icon)) {
+      if (token.aliasOf && tokens.icon[token.aliasOf] && !tokens.icon[tokenKey]) {
+        tokens.icon[tokenKey] = {
+          ...token,
+          value: tokens.icon[token.aliasOf].value
+        };
+      }
+    }
+    
+    for (const [brandName, brandResults] of Object.entries(downloadResults)) {
+      for (const rename of brandResults.renamed || []) {
+        const aliasKey = `${brandName}-${rename.from}`;
+        const targetKey = `${brandName}-${rename.name}`;
+        const previous = previousTokens.icon[aliasKey] || {};
+        
+        if (tokens.icon[aliasKey] || !tokens.icon[targetKey]) continue;
+        
+        tokens.icon[aliasKey] = {
+          value: tokens.icon[targetKey].value,
+          type: 'asset',
+          description: `Deprecated alias of ${targetKey}`,
+          brand: brandName,
+          name: rename.from,
+          originalName: previous.originalName || rename.from,
+          aliasOf: targetKey,
+          deprecated: TokenManager.createDeprecation({
+            replacement: rename.name,
+            reason: `Renamed to '${rename.name}' in Figma`,
+            removeAfter: this.removeAfter
+          })
+        };
+      }
+    }
+  }
+  
+  // Progress callback for exports and downloads: logs every 10%, and only
+  // in verbose mode for batches too small to be worth following
+  createProgressLogger(label, total) {
+    const step = Math.max(1, Math.ceil(total / 10));
+    const type = total >= 100 ? 'info' : 'debug';
+    
+    return ({ done, failed }) => {
+      if (done % step !== 0 && done !== total) return;
+      this.log(`${label} ${done}/${total}${failed > 0 ? ` (${failed} failed)` : ''}`, type);
+    };
+  }
+  
   generateSyncReport(results) {
     const duration = this.syncStats.endTime - this.syncStats.startTime;
+    const api = this.syncStats.api;
+    const source = this.syncStats.source;
     
     this.log('📊 Synchronization Summary:', 'success');
     this.log(`   Duration: ${duration}ms`);
+    this.log(`   Source: ${source.fileName || source.fileKey} version ${source.version || 'unknown'}${source.pinned ? ' (pinned)' : ''}, last modified ${source.lastModified || 'unknown'}`);
     this.log(`   Brands: ${this.syncStats.totalBrands}`);
     this.log(`   Icons: ${this.syncStats.totalIcons}`);
     this.log(`   Added: ${this.syncStats.added}`);
     this.log(`   Updated: ${this.syncStats.updated}`);
+    this.log(`   Unchanged: ${this.syncStats.unchanged}`);
+    this.log(`   Renamed: ${this.syncStats.renamed}`);
+    this.log(`   Deprecated: ${this.syncStats.deprecated}`);
     this.log(`   Removed: ${this.syncStats.removed}`);
+    this.log(`   Lint: ${this.syncStats.lint.errors} errors, ${this.syncStats.lint.warnings} warnings, ${this.syncStats.lint.rejected} icons rejected`);
+    this.log(`   API requests: ${api.requests} (${api.downloads} SVG downloads, ${api.retries} retries, ${api.failed} failed)`);
+    this.log(`   Throttling: ${api.throttled} requests waited ${api.throttledMs}ms, ${api.rateLimited} rate limited (429)${api.retryAfterMs > 0 ? `, Retry-After ${api.retryAfterMs}ms` : ''}`);
     this.log(`   Errors: ${this.syncStats.errors.length}`);
     
     if (this.syncStats.errors.length > 0) {
@@ -445,21 +877,62 @@ class FigmaIconSync {
       }
     }
     
+    const lintReport = SvgLinter.createReport(this.lintResults);
+    if (lintReport.results.length > 0) {
+      this.log('🧹 SVG lint report:', 'warning');
+      for (const line of SvgLinter.formatReport(lintReport)) {
+        this.log(`   ${line}`);
+      }
+    }
+    
     // Brand-specific summary
     for (const [brandName, brandResults] of Object.entries(results)) {
-      const total = brandResults.added.length + brandResults.updated.length + brandResults.removed.length;
+      const newlyDeprecated = brandResults.deprecated.filter(entry => entry.action !== 'kept-deprecated');
+      const total = brandResults.added.length + brandResults.updated.length + brandResults.renamed.length + newlyDeprecated.length + brandResults.removed.length;
       if (total > 0 || brandResults.errors.length > 0) {
-        this.log(`📁 ${brandName}: +${brandResults.added.length} ~${brandResults.updated.length} -${brandResults.removed.length}${brandResults.errors.length > 0 ? ` (${brandResults.errors.length} errors)` : ''}`);
+        this.log(`📁 ${brandName}: +${brandResults.added.length} ~${brandResults.updated.length} =${brandResults.unchanged.length} >${brandResults.renamed.length} !${newlyDeprecated.length} -${brandResults.removed.length}${brandResults.errors.length > 0 ? ` (${brandResults.errors.length} errors)` : ''}`);
       }
     }
   }
 }
 
 // CLI execution
+function printUsage() {
+  console.log(`
+Usage: node sync-figma-icons.js [options]
+
+Options:
+  --dry-run                   Run without making changes
+  --verbose                   Enable verbose logging
+  --file-key <key>            Figma file key (or set FIGMA_FILE_KEY env var)
+  --token <token>             Figma access token (or set FIGMA_ACCESS_TOKEN env var)
+  --assets-dir <dir>          Assets directory path (default: ./assets)
+  --containers <names>        Comma-separated section/frame names to sync icons from
+  --config <path>             Project config file (default: ./icons.config.js or ./icons.config.json)
+  --base-url <url>            Figma API base URL, e.g. a local mock server (default: https://api.figma.com/v1)
+  --version <id>              Sync the file as it was at this version (or set FIGMA_FILE_VERSION env var)
+  --list-versions             List the file's versions, newest first, and exit
+  --keep-aliases              Keep renamed icons' old names as deprecated alias tokens
+  --remove-after <version>    Version after which icons removed from Figma may be deleted
+  --current-version <version> Delete deprecated icons whose removal version has passed
+  --help                      Show this help message
+        `);
+}
+
 async function main() {
   const args = process.argv.slice(2);
   const options = {};
   
+  // Value of the option at args[i], which must not be missing or another option
+  const readValue = (i) => {
+    if (i + 1 >= args.length || args[i + 1].startsWith('--')) {
+      console.error(`❌ ${args[i]} requires a value`);
+      printUsage();
+      process.exit(1);
+    }
+    return args[i + 1];
+  };
+  
   // Parse command line arguments
   for (let i = 0; i < args.length; i++) {
     switch (args[i]) {
@@ -470,26 +943,40 @@ async function main() {
         options.verbose = true;
         break;
       case '--file-key':
-        options.figmaFileKey = args[++i];
+        options.figmaFileKey = readValue(i++);
         break;
       case '--token':
-        options.accessToken = args[++i];
+        options.accessToken = readValue(i++);
         break;
       case '--assets-dir':
-        options.assetsDir = args[++i];
+        options.assetsDir = readValue(i++);
+        break;
+      case '--keep-aliases':
+        options.keepRenamedAliases = true;
+        break;
+      case '--remove-after':
+        options.removeAfter = readValue(i++);
+        break;
+      case '--current-version':
+        options.currentVersion = readValue(i++);
+        break;
+      case '--containers':
+        options.containers = readValue(i++).split(',').map(name => name.trim()).filter(Boolean);
+        break;
+      case '--config':
+        options.configPath = readValue(i++);
+        break;
+      case '--base-url':
+        options.baseUrl = readValue(i++);
+        break;
+      case '--version':
+        options.figmaVersion = readValue(i++);
+        break;
+      case '--list-versions':
+        options.listVersions = true;
         break;
       case '--help':
-        console.log(`
-Usage: node sync-figma-icons.js [options]
-
-Options:
-  --dry-run          Run without making changes
-  --verbose          Enable verbose logging
-  --file-key <key>   Figma file key (or set FIGMA_FILE_KEY env var)
-  --token <token>    Figma access token (or set FIGMA_ACCESS_TOKEN env var)
-  --assets-dir <dir> Assets directory path (default: ./assets)
-  --help             Show this help message
-        `);
+        printUsage();
         process.exit(0);
         break;
     }
@@ -497,6 +984,14 @@ Options:
   
   try {
     const sync = new FigmaIconSync(options);
+    
+    if (options.listVersions) {
+      for (const version of await sync.figmaApi.getFileVersions(sync.figmaFileKey)) {
+        console.log(`${version.id}\t${version.created_at}\t${version.label || '(autosave)'}${version.description ? ` - ${version.description}` : ''}`);
+      }
+      process.exit(0);
+    }
+    
     const result = await sync.syncIcons();
     
     if (result.success) {
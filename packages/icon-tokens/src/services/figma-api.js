@@ -1,6 +1,9 @@
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { ProjectConfig } = require('../utils/project-config');
+const { RateLimiter, parseRetryAfter } = require('./rate-limiter');
+const { mapWithConcurrency, chunkItems } = require('../utils/concurrency');
 
 class FigmaApiError extends Error {
   constructor(message, code, details) {
@@ -11,15 +14,45 @@ class FigmaApiError extends Error {
   }
 }
 
+// Variant properties that name a file, in this order (`arrow-left--filled--bold--24`);
+// any other properties follow, sorted by name
+const VARIANT_PROPERTY_ORDER = ['style', 'weight', 'size'];
+
+// Longest comma-separated `ids` value sent to /images. Servers and proxies
+// commonly reject request URLs over about 8 KB; the ids make up nearly all of
+// it, so this leaves ample room for the base URL and the other parameters
+const MAX_EXPORT_IDS_LENGTH = 4000;
+
 class FigmaApiService {
   constructor(options = {}) {
+    // Explicit options win over the `figma` section of the project config
+    const figmaConfig = (options.config || ProjectConfig.load()).figma;
+    
     this.accessToken = options.accessToken || process.env.FIGMA_ACCESS_TOKEN;
-    this.baseUrl = 'https://api.figma.com/v1';
-    this.retryAttempts = options.retryAttempts || 3;
-    this.retryDelay = options.retryDelay || 1000;
-    this.rateLimit = options.rateLimit || 100; // requests per minute
-    this.requestQueue = [];
-    this.lastRequestTime = 0;
+    this.baseUrl = (options.baseUrl || figmaConfig.baseUrl).replace(/\/+$/, '');
+    this.retryAttempts = options.retryAttempts !== undefined ? options.retryAttempts : figmaConfig.retryAttempts;
+    this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : figmaConfig.retryDelay;
+    this.maxRetryDelay = options.maxRetryDelay !== undefined ? options.maxRetryDelay : figmaConfig.maxRetryDelay;
+    this.rateLimit = options.rateLimit || figmaConfig.rateLimit; // API requests per minute
+    this.downloadRateLimit = options.downloadRateLimit || figmaConfig.downloadRateLimit; // SVG downloads per minute
+    this.burst = options.burst || figmaConfig.burst;
+    this.timeout = options.timeout || figmaConfig.timeout;
+    this.containers = options.containers || figmaConfig.containers; // optional section/frame names to scope icons to
+    this.exportChunkSize = options.exportChunkSize || figmaConfig.exportChunkSize; // node ids per /images request
+    this.concurrency = options.concurrency || figmaConfig.concurrency; // export chunks or downloads in flight
+    
+    // One bucket for API calls; pass `rateLimiter` to share it between
+    // services. SVG downloads come from pre-signed image URLs outside the
+    // API's rate limit, so they get their own, larger budget.
+    this.rateLimiter = options.rateLimiter || new RateLimiter({ rateLimit: this.rateLimit, burst: this.burst });
+    this.downloadRateLimiter = options.downloadRateLimiter ||
+      new RateLimiter({ rateLimit: this.downloadRateLimit, burst: this.concurrency });
+    this.metrics = {
+      retries: 0,
+      rateLimited: 0,   // 429 responses
+      retryAfterMs: 0,  // time Figma asked us to wait through Retry-After
+      failed: 0         // requests that failed after their last attempt
+    };
     
     if (!this.accessToken) {
       throw new FigmaApiError('Figma access token is required', 'MISSING_TOKEN');
@@ -31,32 +64,40 @@ class FigmaApiService {
         'X-Figma-Token': this.accessToken,
         'Content-Type': 'application/json',
       },
-      timeout: 30000,
+      timeout: this.timeout,
     });
     
-    this.setupInterceptors();
+    // Export URLs point at Figma's image storage, which must not receive the token
+    this.downloadClient = axios.create({
+      timeout: this.timeout,
+      responseType: 'text'
+    });
+    
+    this.setupInterceptors(this.client, this.rateLimiter);
+    this.setupInterceptors(this.downloadClient, this.downloadRateLimiter);
   }
   
-  setupInterceptors() {
+  setupInterceptors(client, rateLimiter) {
     // Request interceptor for rate limiting
-    this.client.interceptors.request.use(
+    client.interceptors.request.use(
       async (config) => {
-        await this.rateLimitRequest();
+        await this.rateLimitRequest(rateLimiter);
         return config;
       },
       (error) => Promise.reject(error)
     );
     
     // Response interceptor for error handling
-    this.client.interceptors.response.use(
+    client.interceptors.response.use(
       (response) => response,
       (error) => {
         if (error.response) {
-          const { status, data } = error.response;
+          const { status, data, headers } = error.response;
+          const message = data && typeof data === 'object' ? data.err || data.message : null;
           throw new FigmaApiError(
-            `Figma API error: ${data.err || data.message || 'Unknown error'}`,
+            `Figma API error: ${message || (status === 429 ? 'Rate limit exceeded' : 'Unknown error')}`,
             `HTTP_${status}`,
-            { status, data }
+            { status, data, retryAfter: parseRetryAfter(headers && headers['retry-after']) }
           );
         } else if (error.request) {
           throw new FigmaApiError(
@@ -75,43 +116,93 @@ class FigmaApiService {
     );
   }
   
-  async rateLimitRequest() {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    const minInterval = 60000 / this.rateLimit; // milliseconds between requests
-    
-    if (timeSinceLastRequest < minInterval) {
-      const delay = minInterval - timeSinceLastRequest;
-      await this.sleep(delay);
-    }
-    
-    this.lastRequestTime = Date.now();
+  async rateLimitRequest(rateLimiter = this.rateLimiter) {
+    await rateLimiter.acquire();
   }
   
   async sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
   
-  async retryRequest(requestFn, attempts = this.retryAttempts) {
-    for (let i = 0; i < attempts; i++) {
+  // Rate limits, server errors and network failures are worth another try;
+  // anything else (bad token, missing file, invalid SVG) fails right away
+  isRetryableError(error) {
+    return error.code === 'HTTP_429' ||
+      error.code === 'NETWORK_ERROR' ||
+      /^HTTP_5\d\d$/.test(error.code);
+  }
+  
+  // Exponential backoff capped at maxRetryDelay, with half of it jittered so
+  // parallel syncs do not retry in lockstep
+  getRetryDelay(attempt) {
+    const delay = Math.min(this.maxRetryDelay, this.retryDelay * Math.pow(2, attempt));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+  
+  // `rateLimiter` is the bucket a 429 pauses: the one the request went through
+  async retryRequest(requestFn, attempts = this.retryAttempts, rateLimiter = this.rateLimiter) {
+    const maxAttempts = Math.max(1, attempts);
+    
+    for (let attempt = 1; ; attempt++) {
       try {
         return await requestFn();
       } catch (error) {
-        if (i === attempts - 1) throw error;
+        const retryable = this.isRetryableError(error);
+        let delay = this.getRetryDelay(attempt - 1);
+        
+        if (error.code === 'HTTP_429') {
+          const retryAfter = error.details.retryAfter;
+          this.metrics.rateLimited++;
+          
+          if (retryAfter !== null && retryAfter > this.maxRetryDelay) {
+            this.metrics.failed++;
+            throw new FigmaApiError(
+              `Figma API rate limit exceeded: asked to retry after ${Math.ceil(retryAfter / 1000)}s, more than the ${this.maxRetryDelay}ms maxRetryDelay`,
+              'RATE_LIMIT_EXCEEDED',
+              { retryAfter, originalError: error }
+            );
+          }
+          
+          if (retryAfter !== null) {
+            delay = retryAfter;
+            this.metrics.retryAfterMs += retryAfter;
+          }
+          
+          // Hold every request, not just this one, until the limit resets
+          rateLimiter.pause(delay);
+        }
         
-        // Don't retry on authentication errors
-        if (error.code === 'HTTP_401' || error.code === 'HTTP_403') {
+        if (!retryable || attempt >= maxAttempts) {
+          this.metrics.failed++;
           throw error;
         }
         
-        // Exponential backoff
-        const delay = this.retryDelay * Math.pow(2, i);
-        console.log(`Request failed (attempt ${i + 1}/${attempts}), retrying in ${delay}ms...`);
-        await this.sleep(delay);
+        this.metrics.retries++;
+        console.log(`Request failed with ${error.code} (attempt ${attempt}/${maxAttempts}), retrying in ${delay}ms...`);
+        
+        // A 429 already paused the limiter, which delays the next attempt
+        if (error.code !== 'HTTP_429') {
+          await this.sleep(delay);
+        }
       }
     }
   }
   
+  // Request, retry and throttling counts since the service was created; the
+  // request and throttling counts include SVG downloads (also in `downloads`)
+  getMetrics() {
+    const api = this.rateLimiter.getStats();
+    const downloads = this.downloadRateLimiter.getStats();
+    
+    return {
+      requests: api.requests + downloads.requests,
+      downloads: downloads.requests,
+      throttled: api.throttled + downloads.throttled,
+      throttledMs: api.throttledMs + downloads.throttledMs,
+      ...this.metrics
+    };
+  }
+  
   validateFileKey(fileKey) {
     if (!fileKey || typeof fileKey !== 'string') {
       throw new FigmaApiError('File key must be a non-empty string', 'INVALID_FILE_KEY');
@@ -125,15 +216,65 @@ class FigmaApiService {
     return fileKey;
   }
   
-  async getFile(fileKey) {
+  // `version` reads the file as it was at a version from getFileVersions()
+  async getFile(fileKey, options = {}) {
     this.validateFileKey(fileKey);
     
+    const params = options.version ? { version: options.version } : {};
+    
     return this.retryRequest(async () => {
-      const response = await this.client.get(`/files/${fileKey}`);
+      const response = await this.client.get(`/files/${fileKey}`, { params });
       return response.data;
     });
   }
   
+  // Every version of the file, newest first: [{ id, created_at, label,
+  // description, user }]
+  async getFileVersions(fileKey) {
+    const versions = [];
+    await this.forEachVersionPage(fileKey, page => {
+      versions.push(...page);
+    });
+    return versions;
+  }
+  
+  async getFileVersion(fileKey, versionId) {
+    let version = null;
+    await this.forEachVersionPage(fileKey, page => {
+      version = page.find(entry => String(entry.id) === String(versionId)) || null;
+      return !!version;
+    });
+    
+    if (!version) {
+      throw new FigmaApiError(
+        `Version ${versionId} not found in the history of file ${fileKey}`,
+        'VERSION_NOT_FOUND',
+        { fileKey, versionId }
+      );
+    }
+    
+    return version;
+  }
+  
+  // Calls `callback(versions)` for each page of the version history until it
+  // returns true or the pages run out
+  async forEachVersionPage(fileKey, callback) {
+    this.validateFileKey(fileKey);
+    
+    let url = `/files/${fileKey}/versions`;
+    while (url) {
+      const page = await this.retryRequest(async () => {
+        const response = await this.client.get(url);
+        return response.data;
+      });
+      
+      if (callback(page.versions || [])) return;
+      
+      // next_page is an absolute URL, which axios requests as is
+      url = page.pagination && page.pagination.next_page ? page.pagination.next_page : null;
+    }
+  }
+  
   async getFileNodes(fileKey, nodeIds) {
     this.validateFileKey(fileKey);
     
@@ -160,7 +301,20 @@ class FigmaApiService {
     });
   }
   
-  async exportNodes(fileKey, nodeIds, format = 'svg', options = {}) {
+  async getFileComponentSets(fileKey) {
+    this.validateFileKey(fileKey);
+    
+    return this.retryRequest(async () => {
+      const response = await this.client.get(`/files/${fileKey}/component_sets`);
+      return response.data;
+    });
+  }
+  
+  // Exports the nodes in chunks of `exportChunkSize` ids, `concurrency` chunks
+  // at a time. A failed chunk does not fail the others: its ids are listed in
+  // `failed` as [{ ids, error }], and only when every chunk fails does this throw.
+  // `onProgress({ done, total, failed })` is called as chunks finish, in node ids.
+  async exportNodes(fileKey, nodeIds, format = 'svg', options = {}, { onProgress } = {}) {
     this.validateFileKey(fileKey);
     
     if (!Array.isArray(nodeIds) || nodeIds.length === 0) {
@@ -172,16 +326,46 @@ class FigmaApiService {
       throw new FigmaApiError(`Invalid format. Must be one of: ${validFormats.join(', ')}`, 'INVALID_FORMAT');
     }
     
-    const params = {
-      ids: nodeIds.join(','),
-      format,
-      ...options
-    };
+    const chunks = chunkItems(nodeIds, this.exportChunkSize, MAX_EXPORT_IDS_LENGTH);
+    const progress = { done: 0, total: nodeIds.length, failed: 0 };
     
-    return this.retryRequest(async () => {
-      const response = await this.client.get(`/images/${fileKey}`, { params });
-      return response.data;
+    const settled = await mapWithConcurrency(chunks, this.concurrency, async (ids) => {
+      try {
+        return await this.retryRequest(async () => {
+          const params = { ids: ids.join(','), format, ...options };
+          const response = await this.client.get(`/images/${fileKey}`, { params });
+          return response.data;
+        });
+      } catch (error) {
+        progress.failed += ids.length;
+        throw error;
+      } finally {
+        progress.done += ids.length;
+        if (onProgress) onProgress({ ...progress });
+      }
     });
+    
+    const images = {};
+    const failed = [];
+    
+    settled.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        Object.assign(images, result.value.images);
+      } else {
+        failed.push({ ids: chunks[index], error: result.reason });
+      }
+    });
+    
+    if (failed.length === chunks.length) {
+      const error = failed[0].error;
+      throw chunks.length === 1 ? error : new FigmaApiError(
+        `All ${chunks.length} export chunks failed: ${error.message}`,
+        'EXPORT_FAILED',
+        { failed }
+      );
+    }
+    
+    return { err: null, images, failed };
   }
   
   async downloadSvg(url, filename) {
@@ -190,10 +374,7 @@ class FigmaApiService {
     }
     
     return this.retryRequest(async () => {
-      const response = await axios.get(url, {
-        timeout: 30000,
-        responseType: 'text'
-      });
+      const response = await this.downloadClient.get(url);
       
       // Basic SVG validation
       if (!response.data.includes('<svg')) {
@@ -201,38 +382,90 @@ class FigmaApiService {
       }
       
       return response.data;
+    }, this.retryAttempts, this.downloadRateLimiter);
+  }
+  
+  // Downloads `items` ([{ id, url }]) with at most `concurrency` requests in
+  // flight. Returns { [id]: { content } or { error } } so one bad URL does
+  // not fail the rest; `onProgress({ done, total, failed })` follows along.
+  async downloadSvgs(items, { onProgress } = {}) {
+    const downloads = {};
+    const progress = { done: 0, total: items.length, failed: 0 };
+    
+    await mapWithConcurrency(items, this.concurrency, async ({ id, url }) => {
+      try {
+        downloads[id] = { content: await this.downloadSvg(url, id) };
+      } catch (error) {
+        downloads[id] = { error };
+        progress.failed++;
+      }
+      
+      progress.done++;
+      if (onProgress) onProgress({ ...progress });
     });
+    
+    return downloads;
   }
   
-  async getIconsByBrand(fileKey) {
+  // `version` lists the icons of that file version; `file` reuses a file
+  // response already fetched with getFile() (for the same version)
+  async getIconsByBrand(fileKey, options = {}) {
     try {
-      const file = await this.getFile(fileKey);
-      const components = await this.getFileComponents(fileKey);
+      const version = options.version || null;
+      const file = options.file || await this.getFile(fileKey, { version });
+      const { components, componentSets } = version
+        ? this.getComponentsFromFile(file)
+        : await this.getPublishedComponents(fileKey);
+      const containers = options.containers || this.containers;
       
+      const nodeIndex = this.buildNodeIndex(file.document);
+      const setsById = new Map(componentSets.map(set => [set.node_id, set]));
       const brandIcons = {};
       
       // Process each page as a brand
       for (const page of file.document.children) {
+        if (page.type !== 'CANVAS') continue;
+        
         const brandName = this.sanitizeBrandName(page.name);
-        brandIcons[brandName] = [];
+        brandIcons[brandName] = brandIcons[brandName] || [];
         
         // Find components on this page
-        const pageComponents = Object.values(components.meta.components)
+        const pageComponents = components
           .filter(component => {
-            // Check if component is on this page by traversing the node tree
-            return this.isComponentOnPage(component, page, file.document);
+            return this.isComponentOnPage(component, page, nodeIndex) &&
+              this.isComponentInContainers(component, containers, nodeIndex);
           });
         
-        // Process each component
+        // Process each component; variants are named after their set
         for (const component of pageComponents) {
-          const iconName = this.sanitizeIconName(component.name);
+          const componentSet = this.getComponentSet(component, setsById, nodeIndex);
+          
+          if (!componentSet) {
+            brandIcons[brandName].push({
+              id: component.node_id,
+              name: this.sanitizeIconName(component.name),
+              description: component.description || '',
+              componentId: component.key,
+              originalName: component.name,
+              lastModified: component.updated_at || null
+            });
+            continue;
+          }
+          
+          const variant = this.parseVariantProperties(component.name);
           
           brandIcons[brandName].push({
             id: component.node_id,
-            name: iconName,
-            description: component.description || '',
+            name: this.getVariantIconName(componentSet.name, variant),
+            description: component.description || componentSet.description || '',
             componentId: component.key,
-            originalName: component.name
+            originalName: `${componentSet.name} (${component.name})`,
+            lastModified: component.updated_at || null,
+            variant: {
+              of: this.sanitizeIconName(componentSet.name),
+              setKey: componentSet.key || null,
+              properties: variant
+            }
           });
         }
       }
@@ -247,10 +480,143 @@ class FigmaApiService {
     }
   }
   
-  isComponentOnPage(component, page, document) {
-    // Simple check - in a real implementation, you'd want to traverse the tree
-    // For now, we'll use a basic approach
-    return true; // Placeholder - implement proper page detection
+  buildNodeIndex(document) {
+    // Maps every node id to the page (CANVAS) that contains it and the
+    // section/frame ancestors between the page and the node
+    const index = new Map();
+    const containerTypes = ['SECTION', 'FRAME', 'GROUP', 'COMPONENT_SET'];
+    
+    const visit = (node, page, ancestors) => {
+      index.set(node.id, { pageId: page.id, pageName: page.name, ancestors });
+      
+      if (!Array.isArray(node.children)) return;
+      
+      const childAncestors = containerTypes.includes(node.type)
+        ? [...ancestors, { id: node.id, name: node.name, type: node.type }]
+        : ancestors;
+      
+      for (const child of node.children) {
+        visit(child, page, childAncestors);
+      }
+    };
+    
+    for (const page of document.children || []) {
+      if (page.type !== 'CANVAS') continue;
+      
+      for (const child of page.children || []) {
+        visit(child, page, []);
+      }
+    }
+    
+    return index;
+  }
+  
+  isComponentOnPage(component, page, nodeIndex) {
+    const entry = nodeIndex.get(component.node_id);
+    
+    if (entry) {
+      return entry.pageId === page.id;
+    }
+    
+    // Fall back to the page reported by the components endpoint
+    return !!component.containing_frame && component.containing_frame.pageId === page.id;
+  }
+  
+  isComponentInContainers(component, containers, nodeIndex) {
+    if (!containers || containers.length === 0) return true;
+    
+    const entry = nodeIndex.get(component.node_id);
+    
+    if (!entry) {
+      const frameName = component.containing_frame && component.containing_frame.name;
+      return !!frameName && containers.includes(frameName);
+    }
+    
+    return entry.ancestors.some(ancestor =>
+      (ancestor.type === 'SECTION' || ancestor.type === 'FRAME') &&
+      containers.includes(ancestor.name)
+    );
+  }
+  
+  async getPublishedComponents(fileKey) {
+    const components = await this.getFileComponents(fileKey);
+    const componentSets = await this.getFileComponentSets(fileKey);
+    
+    return {
+      components: Object.values(components.meta.components),
+      componentSets: (componentSets.meta && componentSets.meta.component_sets) || []
+    };
+  }
+  
+  // The components endpoints only describe the latest published library, so
+  // a pinned version reads its components from the versioned file instead.
+  // Those have no timestamps, so the sync compares them by content.
+  getComponentsFromFile(file) {
+    return {
+      components: Object.entries(file.components || {}).map(([nodeId, component]) => ({
+        key: component.key,
+        node_id: nodeId,
+        name: component.name,
+        description: component.description || '',
+        updated_at: null
+      })),
+      componentSets: Object.entries(file.componentSets || {}).map(([nodeId, componentSet]) => ({
+        key: componentSet.key,
+        node_id: nodeId,
+        name: componentSet.name,
+        description: componentSet.description || ''
+      }))
+    };
+  }
+  
+  // The component set a variant belongs to, from the document tree or, for
+  // nodes missing from it, the components endpoint
+  getComponentSet(component, setsById, nodeIndex) {
+    const entry = nodeIndex.get(component.node_id);
+    const parent = entry ? entry.ancestors[entry.ancestors.length - 1] : null;
+    const fromFrame = component.containing_frame && component.containing_frame.containingComponentSet;
+    
+    const setNode = parent && parent.type === 'COMPONENT_SET'
+      ? { node_id: parent.id, name: parent.name }
+      : fromFrame ? { node_id: fromFrame.nodeId, name: fromFrame.name } : null;
+    
+    if (!setNode) return null;
+    return setsById.get(setNode.node_id) || setNode;
+  }
+  
+  // `Size=24, Style=Filled` → { size: 24, style: 'filled' }. Property names
+  // and text values are sanitized like icon names, numbers (`24`, `24px`)
+  // become numbers.
+  parseVariantProperties(name) {
+    const properties = {};
+    
+    for (const part of name.split(',')) {
+      const separator = part.indexOf('=');
+      if (separator === -1) continue;
+      
+      const key = this.sanitizeIconName(part.slice(0, separator));
+      const value = part.slice(separator + 1).trim();
+      const number = value.match(/^(\d+(?:\.\d+)?)(?:px)?$/i);
+      
+      if (key) {
+        properties[key] = number ? parseFloat(number[1]) : this.sanitizeIconName(value);
+      }
+    }
+    
+    return properties;
+  }
+  
+  // `arrow-left--filled--24`: the set name, then the variant values
+  getVariantIconName(setName, properties) {
+    const keys = [
+      ...VARIANT_PROPERTY_ORDER.filter(key => key in properties),
+      ...Object.keys(properties).filter(key => !VARIANT_PROPERTY_ORDER.includes(key)).sort()
+    ];
+    const values = keys
+      .map(key => String(properties[key]).replace(/\./g, '-'))
+      .filter(Boolean);
+    
+    return [this.sanitizeIconName(setName), ...values].join('--');
   }
   
   sanitizeBrandName(name) {
@@ -291,33 +657,36 @@ class FigmaApiService {
           
           try {
             const exportResult = await this.exportNodes(fileKey, nodeIds, 'svg');
+            const exportErrors = new Map(exportResult.failed.flatMap(chunk => chunk.ids.map(id => [id, chunk.error])));
+            const exported = icons.filter(icon => exportResult.images[icon.id]);
+            const downloads = await this.downloadSvgs(
+              exported.map(icon => ({ id: icon.id, url: exportResult.images[icon.id] }))
+            );
             
-            // Download each exported SVG
             for (const icon of icons) {
-              const exportUrl = exportResult.images[icon.id];
+              const download = downloads[icon.id];
               
-              if (exportUrl) {
-                try {
-                  const svgContent = await this.downloadSvg(exportUrl, icon.name);
-                  const filePath = path.join(brandDir, `${icon.name}.svg`);
-                  
-                  fs.writeFileSync(filePath, svgContent);
-                  
-                  downloadResults[brandName].success.push({
-                    name: icon.name,
-                    path: filePath,
-                    originalName: icon.originalName
-                  });
-                } catch (downloadError) {
-                  downloadResults[brandName].errors.push({
-                    name: icon.name,
-                    error: downloadError.message
-                  });
-                }
-              } else {
+              if (!download) {
+                downloadResults[brandName].errors.push({
+                  name: icon.name,
+                  error: exportErrors.has(icon.id)
+                    ? `Failed to export icon: ${exportErrors.get(icon.id).message}`
+                    : 'No export URL provided by Figma'
+                });
+              } else if (download.error) {
                 downloadResults[brandName].errors.push({
                   name: icon.name,
-                  error: 'No export URL provided by Figma'
+                  error: download.error.message
+                });
+              } else {
+                const filePath = path.join(brandDir, `${icon.name}.svg`);
+                
+                fs.writeFileSync(filePath, download.content);
+                
+                downloadResults[brandName].success.push({
+                  name: icon.name,
+                  path: filePath,
+                  originalName: icon.originalName
                 });
               }
             }
@@ -0,0 +1,116 @@
+class RateLimiterError extends Error {
+  constructor(message, code, details) {
+    super(message);
+    this.name = 'RateLimiterError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Token bucket shared by every request of a FigmaApiService: it holds up to
+// `burst` tokens and refills at `rateLimit` tokens per minute; each request
+// takes one. A 429 pauses the whole bucket until its Retry-After has passed,
+// so concurrent callers back off together instead of hammering the API.
+class RateLimiter {
+  constructor(options = {}) {
+    this.rateLimit = options.rateLimit || 100; // requests per minute
+    this.burst = options.burst || 1;
+    
+    if (!(this.rateLimit > 0) || !(this.burst >= 1)) {
+      throw new RateLimiterError(
+        `Invalid rate limit: ${this.rateLimit}/min with a burst of ${this.burst}`,
+        'INVALID_RATE_LIMIT',
+        { rateLimit: this.rateLimit, burst: this.burst }
+      );
+    }
+    
+    this.refillRate = this.rateLimit / 60000; // tokens per millisecond
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.queue = Promise.resolve();
+    this.sleeps = 0; // waits so far, to tell throttling from ordinary queueing
+    
+    this.stats = {
+      requests: 0,
+      throttled: 0,   // requests that had to wait for a token or a pause
+      throttledMs: 0  // total time requests spent waiting
+    };
+  }
+  
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) * this.refillRate);
+    this.lastRefill = now;
+  }
+  
+  // Milliseconds until a request may go out: the rest of a pause, or the
+  // time until the bucket has refilled one token
+  getWait() {
+    this.refill();
+    
+    const now = Date.now();
+    if (this.pausedUntil > now) return this.pausedUntil - now;
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillRate);
+  }
+  
+  // Resolves once the request may be sent. Callers are served in order.
+  acquire() {
+    const requestedAt = Date.now();
+    const sleepsBefore = this.sleeps;
+    const turn = this.queue.then(() => this.take(requestedAt, sleepsBefore));
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+  
+  async take(requestedAt, sleepsBefore) {
+    let wait = this.getWait();
+    while (wait > 0) {
+      this.sleeps++;
+      await this.sleep(wait);
+      wait = this.getWait();
+    }
+    
+    this.tokens -= 1;
+    this.stats.requests++;
+    
+    // Throttled when this request or one queued ahead of it had to wait;
+    // the time includes waiting in the queue
+    if (this.sleeps > sleepsBefore) {
+      this.stats.throttled++;
+      this.stats.throttledMs += Date.now() - requestedAt;
+    }
+  }
+  
+  // Called on a 429: empties the bucket and holds every request for
+  // `delayMs` (the Retry-After, or the caller's backoff when there is none)
+  pause(delayMs) {
+    this.refill();
+    this.tokens = 0;
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delayMs);
+  }
+  
+  getStats() {
+    return { ...this.stats };
+  }
+  
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+// Milliseconds to wait from a Retry-After header (delta-seconds or an
+// HTTP date), or null when it is missing or malformed
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text) * 1000);
+  }
+  
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+module.exports = { RateLimiter, RateLimiterError, parseRetryAfter };
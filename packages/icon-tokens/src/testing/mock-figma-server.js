@@ -0,0 +1,393 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+class MockFigmaServerError extends Error {
+  constructor(message, code, details) {
+    super(message);
+    this.name = 'MockFigmaServerError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const DEFAULT_FIXTURE = path.join(__dirname, '..', '..', 'test', 'fixtures', 'figma', 'file.json');
+
+// Local stand-in for the parts of the Figma REST API the sync uses:
+// GET /v1/files/:key, /v1/files/:key/components, /v1/files/:key/component_sets,
+// /v1/files/:key/nodes, /v1/files/:key/versions, /v1/images/:key and the SVG
+// downloads the images endpoint links to.
+//
+// Responses are built from a fixture describing pages with nested
+// SECTION/FRAME/COMPONENT_SET/COMPONENT nodes; components name an SVG file next to the
+// fixture (`svg`) or carry the markup inline (`svgContent`). The fixture can
+// be changed between requests to simulate edits in Figma, and saved with
+// addVersion() to be served again for `?version=<id>` requests.
+class MockFigmaServer {
+  constructor(options = {}) {
+    const fixturePath = options.fixturePath || DEFAULT_FIXTURE;
+    
+    this.fixture = options.fixture || MockFigmaServer.loadFixture(fixturePath);
+    this.svgDir = options.svgDir || path.join(path.dirname(fixturePath), 'svg');
+    this.accessToken = options.accessToken || null; // when set, other tokens get a 403
+    this.versionsPageSize = options.versionsPageSize || 30;
+    this.snapshots = new Map(); // version id → fixture state saved by addVersion()
+    this.requests = [];
+    this.failures = [];
+    this.server = null;
+    this.origin = null;
+  }
+  
+  static loadFixture(fixturePath) {
+    try {
+      return JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    } catch (error) {
+      throw new MockFigmaServerError(
+        `Failed to load Figma fixture ${fixturePath}: ${error.message}`,
+        'FIXTURE_LOAD_ERROR',
+        { fixturePath, originalError: error }
+      );
+    }
+  }
+  
+  get baseUrl() {
+    return `${this.origin}/v1`;
+  }
+  
+  // Makes the next `count` requests whose path matches `pattern` (a RegExp
+  // or a substring) fail with `status`, e.g. 429 with a Retry-After header
+  failNext(pattern, { status = 500, count = 1, headers = {}, body } = {}) {
+    this.failures.push({ pattern, status, remaining: count, headers, body });
+    return this;
+  }
+  
+  // Saves the current pages as a version, like "Save to version history" in
+  // Figma: later changes to the fixture do not affect it. Returns its id.
+  addVersion({ id, label = '', description = '', createdAt = new Date().toISOString() } = {}) {
+    const versionId = String(id || Date.now());
+    const { name, lastModified, pages } = JSON.parse(JSON.stringify(this.fixture));
+    
+    this.snapshots.set(versionId, { fileKey: this.fixture.fileKey, name, version: versionId, lastModified, pages });
+    this.fixture.versions = [
+      { id: versionId, created_at: createdAt, label, description, user: { id: '1', handle: 'Mock Designer' } },
+      ...(this.fixture.versions || [])
+    ];
+    
+    return versionId;
+  }
+  
+  // Fixture state for a `version` query parameter, null for unknown versions.
+  // Versions listed in the fixture file itself serve the current pages.
+  getState(version) {
+    if (!version) return this.fixture;
+    if (this.snapshots.has(version)) return this.snapshots.get(version);
+    
+    const listed = (this.fixture.versions || []).some(entry => String(entry.id) === version);
+    return listed ? { ...this.fixture, version } : null;
+  }
+  
+  // Requests received so far whose path matches `pattern`
+  getRequests(pattern) {
+    return pattern
+      ? this.requests.filter(request => this.matches(pattern, request.path))
+      : this.requests;
+  }
+  
+  matches(pattern, requestPath) {
+    return pattern instanceof RegExp ? pattern.test(requestPath) : requestPath.includes(pattern);
+  }
+  
+  start(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handle(req, res));
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.origin = `http://${host}:${this.server.address().port}`;
+        resolve(this.baseUrl);
+      });
+    });
+  }
+  
+  stop() {
+    if (!this.server) return Promise.resolve();
+    
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      this.server.closeAllConnections();
+      this.server = null;
+    });
+  }
+  
+  handle(req, res) {
+    const url = new URL(req.url, this.origin);
+    this.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams) });
+    
+    const failure = this.failures.find(entry => entry.remaining > 0 && this.matches(entry.pattern, url.pathname));
+    if (failure) {
+      failure.remaining--;
+      return this.sendJson(res, failure.status, failure.body || { status: failure.status, err: 'Simulated failure' }, failure.headers);
+    }
+    
+    const state = this.getState(url.searchParams.get('version'));
+    if (!state) {
+      return this.sendJson(res, 404, { status: 404, err: 'Version not found' });
+    }
+    
+    if (url.pathname.startsWith('/downloads/')) {
+      return this.sendSvg(res, decodeURIComponent(url.pathname.slice('/downloads/'.length)).replace(/\.svg$/, ''), state);
+    }
+    
+    if (this.accessToken && req.headers['x-figma-token'] !== this.accessToken) {
+      return this.sendJson(res, 403, { status: 403, err: 'Invalid token' });
+    }
+    
+    const fileMatch = url.pathname.match(/^\/v1\/files\/([^/]+)(?:\/(components|component_sets|nodes|versions))?$/);
+    const imagesMatch = url.pathname.match(/^\/v1\/images\/([^/]+)$/);
+    const fileKey = (fileMatch || imagesMatch || [])[1];
+    
+    if (!fileKey) {
+      return this.sendJson(res, 404, { status: 404, err: 'Not found' });
+    }
+    if (fileKey !== this.fixture.fileKey) {
+      return this.sendJson(res, 404, { status: 404, err: 'File not found' });
+    }
+    
+    if (imagesMatch) {
+      return this.sendImages(res, url.searchParams, state);
+    }
+    
+    switch (fileMatch[2]) {
+      case 'components':
+        return this.sendJson(res, 200, { status: 200, error: false, meta: { components: this.getComponents() } });
+      case 'component_sets':
+        return this.sendJson(res, 200, { status: 200, error: false, meta: { component_sets: this.getComponentSets() } });
+      case 'nodes':
+        return this.sendNodes(res, url.searchParams, state);
+      case 'versions':
+        return this.sendVersions(res, url.searchParams);
+      default:
+        return this.sendJson(res, 200, this.getFile(state));
+    }
+  }
+  
+  toDocumentNode(node) {
+    return {
+      id: node.id,
+      name: node.name,
+      type: node.type,
+      ...(['COMPONENT', 'COMPONENT_SET'].includes(node.type) ? { description: node.description || '' } : {}),
+      ...(node.children ? { children: node.children.map(child => this.toDocumentNode(child)) } : {})
+    };
+  }
+  
+  getFile(state = this.fixture) {
+    const components = {};
+    const componentSets = {};
+    
+    for (const { node, componentSet } of this.getNodesOfType('COMPONENT', state)) {
+      components[node.id] = {
+        key: node.key,
+        name: node.name,
+        description: node.description || '',
+        ...(componentSet ? { componentSetId: componentSet.id } : {})
+      };
+    }
+    for (const { node } of this.getNodesOfType('COMPONENT_SET', state)) {
+      componentSets[node.id] = { key: node.key, name: node.name, description: node.description || '' };
+    }
+    
+    return {
+      name: state.name,
+      version: state.version,
+      lastModified: state.lastModified,
+      document: {
+        id: '0:0',
+        name: 'Document',
+        type: 'DOCUMENT',
+        children: state.pages.map(page => ({
+          id: page.id,
+          name: page.name,
+          type: 'CANVAS',
+          children: (page.children || []).map(child => this.toDocumentNode(child))
+        }))
+      },
+      components,
+      componentSets
+    };
+  }
+  
+  // Nodes of `type` with the page, innermost frame and component set containing them
+  getNodesOfType(type, state = this.fixture) {
+    const nodes = [];
+    
+    const visit = (node, page, frame, componentSet) => {
+      if (node.type === type) {
+        nodes.push({ node, page, frame, componentSet });
+      }
+      
+      const childFrame = ['SECTION', 'FRAME'].includes(node.type) ? node : frame;
+      const childSet = node.type === 'COMPONENT_SET' ? node : componentSet;
+      for (const child of node.children || []) {
+        visit(child, page, childFrame, childSet);
+      }
+    };
+    
+    for (const page of state.pages) {
+      for (const child of page.children || []) {
+        visit(child, page, null, null);
+      }
+    }
+    
+    return nodes;
+  }
+  
+  getComponentNodes() {
+    return this.getNodesOfType('COMPONENT');
+  }
+  
+  getComponents() {
+    return this.getComponentNodes().map(({ node, page, frame, componentSet }) => ({
+      key: node.key,
+      file_key: this.fixture.fileKey,
+      node_id: node.id,
+      name: node.name,
+      description: node.description || '',
+      updated_at: node.updatedAt,
+      containing_frame: {
+        ...(frame ? { nodeId: frame.id, name: frame.name } : {}),
+        pageId: page.id,
+        pageName: page.name,
+        ...(componentSet ? { containingComponentSet: { nodeId: componentSet.id, name: componentSet.name } } : {})
+      }
+    }));
+  }
+  
+  getComponentSets() {
+    return this.getNodesOfType('COMPONENT_SET').map(({ node, page, frame }) => ({
+      key: node.key,
+      file_key: this.fixture.fileKey,
+      node_id: node.id,
+      name: node.name,
+      description: node.description || '',
+      updated_at: node.updatedAt,
+      containing_frame: {
+        ...(frame ? { nodeId: frame.id, name: frame.name } : {}),
+        pageId: page.id,
+        pageName: page.name
+      }
+    }));
+  }
+  
+  findComponent(nodeId, state = this.fixture) {
+    const entry = this.getNodesOfType('COMPONENT', state).find(({ node }) => node.id === nodeId);
+    return entry ? entry.node : null;
+  }
+  
+  // Newest first, paged like the real endpoint with `page_size` and `before`
+  sendVersions(res, params) {
+    const versions = this.fixture.versions || [];
+    const pageSize = parseInt(params.get('page_size'), 10) || this.versionsPageSize;
+    const before = params.get('before');
+    const start = before ? versions.findIndex(entry => String(entry.id) === before) + 1 : 0;
+    const page = versions.slice(start, start + pageSize);
+    const nextPage = start + pageSize < versions.length
+      ? `${this.baseUrl}/files/${this.fixture.fileKey}/versions?page_size=${pageSize}&before=${page[page.length - 1].id}`
+      : null;
+    
+    this.sendJson(res, 200, { versions: page, pagination: nextPage ? { next_page: nextPage } : {} });
+  }
+  
+  sendNodes(res, params, state) {
+    const ids = (params.get('ids') || '').split(',').filter(Boolean);
+    const nodes = {};
+    
+    for (const id of ids) {
+      const component = this.findComponent(id, state);
+      nodes[id] = component ? { document: this.toDocumentNode(component) } : null;
+    }
+    
+    this.sendJson(res, 200, { name: state.name, nodes });
+  }
+  
+  sendImages(res, params, state) {
+    if (params.get('format') !== 'svg') {
+      return this.sendJson(res, 400, { status: 400, err: 'Only svg exports are supported by the mock server' });
+    }
+    
+    const version = params.get('version');
+    const images = {};
+    for (const id of (params.get('ids') || '').split(',').filter(Boolean)) {
+      images[id] = this.findComponent(id, state)
+        ? `${this.origin}/downloads/${encodeURIComponent(id)}.svg${version ? `?version=${encodeURIComponent(version)}` : ''}`
+        : null;
+    }
+    
+    this.sendJson(res, 200, { err: null, images });
+  }
+  
+  sendSvg(res, nodeId, state) {
+    const component = this.findComponent(nodeId, state);
+    
+    if (!component) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not found');
+    }
+    
+    const content = component.svgContent || fs.readFileSync(path.join(this.svgDir, component.svg), 'utf8');
+    res.writeHead(200, { 'Content-Type': 'image/svg+xml' });
+    res.end(content);
+  }
+  
+  sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+}
+
+// CLI execution: serve a fixture for manual runs of the sync, e.g.
+// npm run sync -- --base-url http://127.0.0.1:4010/v1 --file-key <key> --token any
+async function main() {
+  const args = process.argv.slice(2);
+  const options = { port: 4010 };
+  
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--port':
+        options.port = parseInt(args[++i], 10);
+        break;
+      case '--fixture':
+        options.fixturePath = path.resolve(args[++i]);
+        break;
+      case '--help':
+        console.log(`
+Usage: node mock-figma-server.js [options]
+
+Options:
+  --port <port>     Port to listen on (default: 4010)
+  --fixture <path>  Fixture file (default: test/fixtures/figma/file.json)
+  --help            Show this help message
+        `);
+        process.exit(0);
+        break;
+    }
+  }
+  
+  try {
+    const server = new MockFigmaServer({ fixturePath: options.fixturePath });
+    const baseUrl = await server.start(options.port);
+    
+    console.log(`✅ Mock Figma API listening on ${baseUrl}`);
+    console.log(`ℹ️ File key: ${server.fixture.fileKey}`);
+    
+    process.on('SIGINT', () => server.stop().then(() => process.exit(0)));
+  } catch (error) {
+    console.error('❌ Failed to start mock Figma server:', error.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { MockFigmaServer, MockFigmaServerError };
@@ -1,5 +1,7 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { parseSvg } = require('./svg-parser');
 
 class BrandManagerError extends Error {
   constructor(message, code, details) {
@@ -50,10 +52,24 @@ class BrandManager {
       throw new BrandManagerError('Icon name must be a non-empty string', 'INVALID_ICON_NAME');
     }
     
+    // `--` separates the values of Figma variants (`arrow-left--filled--24`)
     return name.toLowerCase()
-      .replace(/[^a-z0-9]/g, '-')
-      .replace(/-+/g, '-')
-      .replace(/^-|-$/g, '');
+      .split('--')
+      .map(part => part
+        .replace(/[^a-z0-9]/g, '-')
+        .replace(/-+/g, '-')
+        .replace(/^-|-$/g, ''))
+      .filter(Boolean)
+      .join('--');
+  }
+  
+  // Android resource names may only contain [a-z0-9_] and must start with a
+  // letter, which the `ic_` prefix guarantees
+  getAndroidResourceName(brandName, iconName) {
+    const brand = this.sanitizeBrandName(brandName).replace(/-/g, '_');
+    const icon = this.sanitizeIconName(iconName).replace(/-/g, '_');
+    
+    return `ic_${brand}_${icon}`;
   }
   
   getBrandDirectory(brandName) {
@@ -208,6 +224,20 @@ class BrandManager {
     }
   }
   
+  // Only checks that the markup parses with an <svg> root; the configurable
+  // rules live in SvgLinter
+  validateSvgContent(content) {
+    try {
+      parseSvg(content);
+    } catch (error) {
+      throw new BrandManagerError(
+        `Invalid SVG content: ${error.message}`,
+        'INVALID_SVG_CONTENT',
+        { originalError: error }
+      );
+    }
+  }
+  
   addIconToBrand(brandName, iconName, content, format = 'svg') {
     const sanitizedBrand = this.sanitizeBrandName(brandName);
     const sanitizedIcon = this.sanitizeIconName(iconName);
@@ -228,12 +258,8 @@ class BrandManager {
     }
     
     try {
-      // Validate SVG content if format is svg
-      if (format === 'svg' && !content.includes('<svg')) {
-        throw new BrandManagerError(
-          'Invalid SVG content',
-          'INVALID_SVG_CONTENT'
-        );
+      if (format === 'svg') {
+        this.validateSvgContent(content);
       }
       
       fs.writeFileSync(iconPath, content);
@@ -256,6 +282,46 @@ class BrandManager {
     }
   }
   
+  updateIconInBrand(brandName, iconName, content, format = 'svg') {
+    const sanitizedBrand = this.sanitizeBrandName(brandName);
+    const sanitizedIcon = this.sanitizeIconName(iconName);
+    const brandDir = this.getBrandDirectory(sanitizedBrand);
+    
+    const filename = `${sanitizedIcon}.${format}`;
+    const iconPath = path.join(brandDir, filename);
+    
+    if (!fs.existsSync(iconPath)) {
+      throw new BrandManagerError(
+        `Icon not found: ${sanitizedIcon} in brand '${sanitizedBrand}'`,
+        'ICON_NOT_FOUND'
+      );
+    }
+    
+    try {
+      if (format === 'svg') {
+        this.validateSvgContent(content);
+      }
+      
+      fs.writeFileSync(iconPath, content);
+      
+      console.log(`✅ Updated icon: ${iconPath}`);
+      return {
+        brand: sanitizedBrand,
+        name: sanitizedIcon,
+        filename,
+        path: iconPath,
+        format,
+        updated: true
+      };
+    } catch (error) {
+      throw new BrandManagerError(
+        `Failed to update icon: ${error.message}`,
+        'UPDATE_ICON_ERROR',
+        { originalError: error }
+      );
+    }
+  }
+  
   removeIconFromBrand(brandName, iconName) {
     const sanitizedBrand = this.sanitizeBrandName(brandName);
     const sanitizedIcon = this.sanitizeIconName(iconName);
@@ -308,6 +374,71 @@ class BrandManager {
     }
   }
   
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+  
+  getIconHash(iconPath) {
+    try {
+      return this.hashContent(fs.readFileSync(iconPath));
+    } catch (error) {
+      throw new BrandManagerError(
+        `Failed to hash icon: ${error.message}`,
+        'HASH_ICON_ERROR',
+        { originalError: error }
+      );
+    }
+  }
+  
+  renameIconInBrand(brandName, fromName, toName) {
+    const sanitizedBrand = this.sanitizeBrandName(brandName);
+    const sanitizedFrom = this.sanitizeIconName(fromName);
+    const sanitizedTo = this.sanitizeIconName(toName);
+    const brandDir = this.getBrandDirectory(sanitizedBrand);
+    
+    const ext = this.supportedFormats.find(format =>
+      fs.existsSync(path.join(brandDir, `${sanitizedFrom}${format}`))
+    );
+    
+    if (!ext) {
+      throw new BrandManagerError(
+        `Icon not found: ${sanitizedFrom} in brand '${sanitizedBrand}'`,
+        'ICON_NOT_FOUND'
+      );
+    }
+    
+    const fromPath = path.join(brandDir, `${sanitizedFrom}${ext}`);
+    const toPath = path.join(brandDir, `${sanitizedTo}${ext}`);
+    
+    if (fs.existsSync(toPath)) {
+      throw new BrandManagerError(
+        `Icon already exists: ${toPath}`,
+        'ICON_EXISTS'
+      );
+    }
+    
+    try {
+      fs.renameSync(fromPath, toPath);
+      
+      console.log(`✅ Renamed icon: ${fromPath} -> ${toPath}`);
+      return {
+        brand: sanitizedBrand,
+        from: sanitizedFrom,
+        name: sanitizedTo,
+        filename: `${sanitizedTo}${ext}`,
+        path: toPath,
+        format: ext.slice(1),
+        renamed: true
+      };
+    } catch (error) {
+      throw new BrandManagerError(
+        `Failed to rename icon: ${error.message}`,
+        'RENAME_ICON_ERROR',
+        { originalError: error }
+      );
+    }
+  }
+  
   getAllBrandIcons() {
     try {
       const brands = this.getAllBrands();
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class BuildCacheError extends Error {
+  constructor(message, code, details) {
+    super(message);
+    this.name = 'BuildCacheError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const CACHE_VERSION = 1;
+
+// Remembers, per brand and platform, the key the outputs were built from and
+// which files they produced. An entry is fresh when its key matches and all
+// of its files still exist.
+class BuildCache {
+  constructor(cacheFile, options = {}) {
+    this.cacheFile = cacheFile;
+    this.force = options.force || false;
+    this.data = { version: CACHE_VERSION, brands: {} };
+  }
+  
+  static hash(value) {
+    return crypto
+      .createHash('sha256')
+      .update(typeof value === 'string' || Buffer.isBuffer(value) ? value : JSON.stringify(value))
+      .digest('hex');
+  }
+  
+  // Hash of files' contents, e.g. the generator sources, so code changes
+  // invalidate outputs built by an older version
+  static hashFiles(filePaths) {
+    const hash = crypto.createHash('sha256');
+    for (const filePath of [...filePaths].sort()) {
+      hash.update(filePath);
+      hash.update(fs.readFileSync(filePath));
+    }
+    return hash.digest('hex');
+  }
+  
+  load() {
+    if (!fs.existsSync(this.cacheFile)) return this;
+    
+    try {
+      const data = JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
+      // An unreadable or outdated cache only costs a full rebuild
+      if (data.version === CACHE_VERSION && data.brands) {
+        this.data = data;
+      }
+    } catch (error) {
+      this.data = { version: CACHE_VERSION, brands: {} };
+    }
+    
+    return this;
+  }
+  
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.cacheFile), { recursive: true });
+      fs.writeFileSync(this.cacheFile, JSON.stringify(this.data, null, 2));
+    } catch (error) {
+      throw new BuildCacheError(
+        `Failed to write build cache ${this.cacheFile}: ${error.message}`,
+        'WRITE_ERROR',
+        { originalError: error }
+      );
+    }
+  }
+  
+  getBrands() {
+    return Object.keys(this.data.brands);
+  }
+  
+  removeBrand(brandName) {
+    delete this.data.brands[brandName];
+  }
+  
+  get(brandName, platform) {
+    const brand = this.data.brands[brandName];
+    return brand && brand[platform] ? brand[platform] : null;
+  }
+  
+  update(brandName, platform, values) {
+    const brand = this.data.brands[brandName] || (this.data.brands[brandName] = {});
+    brand[platform] = { ...brand[platform], ...values };
+  }
+  
+  // `files` are relative to baseDir
+  filesExist(baseDir, files) {
+    return files.every(file => fs.existsSync(path.join(baseDir, file)));
+  }
+  
+  isFresh(brandName, platform, key, baseDir) {
+    if (this.force) return false;
+    
+    const entry = this.get(brandName, platform);
+    return Boolean(entry && entry.key === key && entry.files && this.filesExist(baseDir, entry.files));
+  }
+}
+
+module.exports = { BuildCache, BuildCacheError };
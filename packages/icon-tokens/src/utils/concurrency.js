@@ -0,0 +1,51 @@
+// Runs `fn(item, index)` over `items` with at most `limit` calls in flight.
+// Results keep the order of `items` and are settled like Promise.allSettled,
+// so one failure never stops the rest.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+  
+  const workers = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  
+  return results;
+}
+
+// Splits `items` into chunks of at most `size` items whose joined length
+// (comma-separated, as in a query string) stays within `maxLength`
+function chunkItems(items, size, maxLength = Infinity) {
+  const chunks = [];
+  let chunk = [];
+  let length = 0;
+  
+  for (const item of items) {
+    const itemLength = String(item).length;
+    
+    // +1 for the comma before the item
+    if (chunk.length > 0 && (chunk.length >= size || length + 1 + itemLength > maxLength)) {
+      chunks.push(chunk);
+      chunk = [];
+      length = 0;
+    }
+    
+    length += (chunk.length > 0 ? 1 : 0) + itemLength;
+    chunk.push(item);
+  }
+  
+  if (chunk.length > 0) chunks.push(chunk);
+  return chunks;
+}
+
+module.exports = { mapWithConcurrency, chunkItems };
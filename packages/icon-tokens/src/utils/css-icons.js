@@ -0,0 +1,113 @@
+const { TokenManager } = require('./token-manager');
+const { escapeBlockComment } = require('./icon-formats');
+const { parseSvg, stringifyNode } = require('./svg-parser');
+
+// Characters that are safe unescaped inside url("data:image/svg+xml,...")
+const DATA_URI_SAFE = {
+  '%20': ' ',
+  '%3D': '=',
+  '%3A': ':',
+  '%2F': '/',
+  '%27': "'",
+  '%2C': ',',
+  '%3B': ';'
+};
+
+// URL-encodes SVG markup for a data URI. Only what has to be escaped is
+// escaped, which keeps the stylesheet a lot smaller than base64.
+function toSvgDataUri(content) {
+  const svg = parseSvg(content);
+  
+  // Standalone SVG images need the namespace even when the source omits it
+  svg.attributes = { xmlns: 'http://www.w3.org/2000/svg', ...svg.attributes };
+  
+  const markup = stringifyNode(svg)
+    .replace(/\s+/g, ' ')
+    .replace(/"/g, "'");
+  const encoded = encodeURIComponent(markup)
+    .replace(/%[0-9A-F]{2}/g, match => DATA_URI_SAFE[match] || match);
+  
+  return `data:image/svg+xml,${encoded}`;
+}
+
+function getDeprecationComment(label, deprecation, indentation = '') {
+  return deprecation
+    ? `${indentation}/* @deprecated ${label}: ${escapeBlockComment(TokenManager.formatDeprecation(deprecation))} */\n`
+    : '';
+}
+
+// `icons` are { name, tokenName, dataUri, deprecated } entries
+function generateMaskCss(icons, { className = 'mask-icon' } = {}) {
+  const rules = icons.map(icon => {
+    const selector = `.${className}-${icon.name}`;
+    return `${getDeprecationComment(selector, icon.deprecated)}${selector} { --${className}-image: url("${icon.dataUri}"); }`;
+  }).join('\n');
+  
+  return `.${className} {
+  display: inline-block;
+  width: 1em;
+  height: 1em;
+  background-color: currentColor;
+  -webkit-mask: var(--${className}-image) no-repeat center / contain;
+  mask: var(--${className}-image) no-repeat center / contain;
+}
+
+${rules}
+`;
+}
+
+function generateScssMap(icons, { mapName, mixinName }) {
+  const entries = icons
+    .map(icon => `${getDeprecationComment(icon.tokenName, icon.deprecated, '  ')}  '${icon.tokenName}': url("${icon.dataUri}")`)
+    .join(',\n');
+  
+  return `@use 'sass:map';
+
+$${mapName}: (
+${entries}
+);
+
+@mixin ${mixinName}($name, $size: 1em) {
+  @if not map.has-key($${mapName}, $name) {
+    @error "Unknown icon '#{$name}' in $${mapName}";
+  }
+  
+  display: inline-block;
+  width: $size;
+  height: $size;
+  background-color: currentColor;
+  -webkit-mask: map.get($${mapName}, $name) no-repeat center / contain;
+  mask: map.get($${mapName}, $name) no-repeat center / contain;
+}
+`;
+}
+
+// Less 3.5+ maps: `@map[@@name]` looks up the variable named by @name,
+// so the entries are declared as variables
+function generateLessMap(icons, { mapName, mixinName }) {
+  const entries = icons
+    .map(icon => `${getDeprecationComment(icon.tokenName, icon.deprecated, '  ')}  @${icon.tokenName}: url("${icon.dataUri}");`)
+    .join('\n');
+  
+  return `@${mapName}: {
+${entries}
+};
+
+.${mixinName}(@name, @size: 1em) {
+  display: inline-block;
+  width: @size;
+  height: @size;
+  background-color: currentColor;
+  -webkit-mask: @${mapName}[@@name] no-repeat center / contain;
+  mask: @${mapName}[@@name] no-repeat center / contain;
+}
+`;
+}
+
+module.exports = {
+  toSvgDataUri,
+  getDeprecationComment,
+  generateMaskCss,
+  generateScssMap,
+  generateLessMap
+};
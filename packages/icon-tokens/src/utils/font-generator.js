@@ -0,0 +1,150 @@
+const path = require('path');
+const { TokenManager } = require('./token-manager');
+const { getDeprecationComment } = require('./css-icons');
+
+class FontGeneratorError extends Error {
+  constructor(message, code, details) {
+    super(message);
+    this.name = 'FontGeneratorError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Wraps webfont so fonts are built from an explicit list of files instead of
+// a glob relative to process.cwd(). Nothing here touches global state, so
+// several brands can generate their fonts concurrently.
+class FontGenerator {
+  constructor(webfont, options = {}) {
+    if (typeof webfont !== 'function') {
+      throw new FontGeneratorError('webfont function is required', 'MISSING_WEBFONT');
+    }
+    
+    this.webfont = webfont;
+    this.formats = options.formats || ['woff2', 'woff', 'ttf'];
+    this.startUnicode = options.startUnicode || 0xe000;
+    this.fontHeight = options.fontHeight || 1000;
+    this.descent = options.descent !== undefined ? options.descent : 150;
+  }
+  
+  // webfont always runs `files` through globby, so literal paths need their
+  // glob characters escaped
+  toGlobPattern(filePath) {
+    return filePath
+      .split(path.sep)
+      .join('/')
+      .replace(/[*?[\]{}()!+@]/g, '\\$&');
+  }
+  
+  // `files` are paths, or { path, name } when the glyph name must differ from
+  // the file name (e.g. the same file name in two brands of one font)
+  async generate({ fontName, files, codepoints }) {
+    if (!Array.isArray(files) || files.length === 0) {
+      throw new FontGeneratorError(
+        `No SVG files given for font '${fontName}'`,
+        'NO_FONT_FILES'
+      );
+    }
+    
+    const glyphFiles = files.map(file => typeof file === 'string'
+      ? { path: path.resolve(file), name: path.basename(file, '.svg') }
+      : { path: path.resolve(file.path), name: file.name });
+    const namesByPath = new Map(glyphFiles.map(file => [file.path, file.name]));
+    
+    // Without a persisted map, codepoints follow the order of `files`
+    const glyphCodepoints = codepoints || glyphFiles.reduce((acc, file, index) => {
+      acc[file.name] = this.startUnicode + index;
+      return acc;
+    }, {});
+    
+    let result;
+    
+    try {
+      result = await this.webfont({
+        files: glyphFiles.map(file => this.toGlobPattern(file.path)),
+        fontName,
+        formats: this.formats,
+        normalize: true,
+        fontHeight: this.fontHeight,
+        descent: this.descent,
+        sort: false,
+        metadataProvider: (file, callback) => {
+          const name = namesByPath.get(path.resolve(file)) || path.basename(file, '.svg');
+          
+          if (glyphCodepoints[name] === undefined) {
+            callback(new FontGeneratorError(
+              `No codepoint assigned to icon '${name}'`,
+              'MISSING_CODEPOINT'
+            ));
+            return;
+          }
+          
+          callback(null, {
+            path: file,
+            name,
+            unicode: [String.fromCodePoint(glyphCodepoints[name])],
+            renamed: false
+          });
+        }
+      });
+    } catch (error) {
+      throw new FontGeneratorError(
+        `Failed to generate font '${fontName}': ${error.message}`,
+        'WEBFONT_ERROR',
+        { originalError: error }
+      );
+    }
+    
+    const fonts = {};
+    for (const format of this.formats) {
+      if (result[format]) {
+        fonts[format] = result[format];
+      }
+    }
+    
+    const glyphs = result.glyphsData
+      .map(glyph => ({
+        name: glyph.metadata.name,
+        codepoint: glyph.metadata.unicode[0].codePointAt(0)
+      }))
+      .sort((a, b) => a.codepoint - b.codepoint);
+    
+    return { fonts, glyphs };
+  }
+  
+  generateCss(fontName, glyphs, icons = []) {
+    const iconsByName = new Map(icons.map(icon => [icon.name, icon]));
+    const formatNames = { woff2: 'woff2', woff: 'woff', ttf: 'truetype', eot: 'embedded-opentype', svg: 'svg' };
+    
+    const sources = this.formats
+      .map(format => `url('./${fontName}.${format}') format('${formatNames[format] || format}')`)
+      .join(',\n       ');
+    
+    const cssClasses = glyphs.map(glyph => {
+      const icon = iconsByName.get(glyph.name) || {};
+      const rule = `.icon-${glyph.name}::before { content: "\\${TokenManager.formatCodepoint(glyph.codepoint)}"; }`;
+      
+      return `${getDeprecationComment(`.icon-${glyph.name}`, icon.deprecated)}${rule}`;
+    }).join('\n');
+    
+    return `@font-face {
+  font-family: '${fontName}';
+  src: ${sources};
+  font-weight: normal;
+  font-style: normal;
+}
+
+.icon {
+  font-family: '${fontName}';
+  font-style: normal;
+  font-weight: normal;
+  font-variant: normal;
+  text-transform: none;
+  line-height: 1;
+}
+
+${cssClasses}`;
+  }
+}
+
+module.exports = { FontGenerator, FontGeneratorError };
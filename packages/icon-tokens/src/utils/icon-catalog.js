@@ -0,0 +1,194 @@
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderSnippet(snippet) {
+  return `<li class="snippet">
+            <span class="snippet-label">${escapeHtml(snippet.label)}</span>
+            <code>${escapeHtml(snippet.code)}</code>
+            <button type="button" class="copy" data-copy="${escapeHtml(snippet.code)}">Copy</button>
+          </li>`;
+}
+
+function formatVariant(variant) {
+  return Object.entries(variant).map(([key, value]) => `${key}=${value}`).join(', ');
+}
+
+function renderIcon(brand, icon) {
+  const variant = icon.variantOf ? `${icon.variantOf} (${formatVariant(icon.variant || {})})` : null;
+  const search = [brand.name, icon.name, icon.tokenKey, icon.description, variant || ''].join(' ').toLowerCase();
+  const details = [
+    ['Token', icon.tokenKey],
+    ...(variant ? [['Variant of', variant]] : []),
+    ['Font class', icon.fontClass || '—'],
+    ['Codepoint', icon.codepoint ? `U+${icon.codepoint.toUpperCase()}` : '—']
+  ];
+  
+  return `<article class="icon${icon.deprecated ? ' deprecated' : ''}" data-brand="${escapeHtml(brand.name)}" data-search="${escapeHtml(search)}">
+      <div class="preview">${icon.image ? `<img src="${escapeHtml(icon.image)}" alt="${escapeHtml(icon.name)}" width="48" height="48">` : ''}</div>
+      <h3>${escapeHtml(icon.name)}</h3>
+      <p class="description">${escapeHtml(icon.description)}</p>
+      ${icon.deprecated ? `<p class="deprecation">Deprecated: ${escapeHtml(icon.deprecated)}</p>` : ''}
+      <dl>
+        ${details.map(([label, value]) => `<dt>${label}</dt><dd><code>${escapeHtml(value)}</code></dd>`).join('\n        ')}
+      </dl>
+      <details>
+        <summary>Snippets</summary>
+        <ul class="snippets">
+          ${icon.snippets.map(renderSnippet).join('\n          ')}
+        </ul>
+      </details>
+    </article>`;
+}
+
+function describeFigmaSource(source) {
+  const version = source.versionLabel ? `${source.version} "${source.versionLabel}"` : source.version;
+  return `${source.fileName || source.fileKey} version ${version || 'unknown'}, synced ${source.syncedAt}`;
+}
+
+function renderBrand(brand) {
+  return `<section class="brand" data-brand="${escapeHtml(brand.name)}">
+    <h2>${escapeHtml(brand.name)} <small>${brand.iconCount} icons · <code>${escapeHtml(brand.packageName)}</code></small></h2>
+    <div class="grid">
+    ${brand.icons.map(icon => renderIcon(brand, icon)).join('\n    ')}
+    </div>
+  </section>`;
+}
+
+// Self-contained gallery page: styles, script and icon images (data URIs)
+// are all inline, so it can be opened straight from dist/ without a server.
+// `catalog` is { title, generatedAt, figma, totalBrands, totalIcons, brands: [{ name,
+// packageName, iconCount, icons: [{ name, tokenKey, description, deprecated,
+// codepoint, variantOf, variant, fontClass, image, snippets: [{ label, code }] }] }] }
+function generateCatalogHtml(catalog) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="generator" content="icon-tokens">
+  <title>${escapeHtml(catalog.title)}</title>
+  <style>
+    * { box-sizing: border-box; }
+    body { margin: 0; font: 14px/1.4 system-ui, -apple-system, 'Segoe UI', sans-serif; color: #1f2937; background: #f9fafb; }
+    header { position: sticky; top: 0; z-index: 1; display: flex; flex-wrap: wrap; gap: 12px; align-items: center; padding: 16px 24px; background: #fff; border-bottom: 1px solid #e5e7eb; }
+    header h1 { margin: 0 auto 0 0; font-size: 18px; }
+    header input, header select { padding: 6px 10px; font: inherit; border: 1px solid #d1d5db; border-radius: 6px; }
+    header input { width: 280px; }
+    main { padding: 0 24px 24px; }
+    .brand h2 { margin: 24px 0 12px; font-size: 16px; }
+    .brand h2 small { font-weight: normal; color: #6b7280; }
+    .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(260px, 1fr)); gap: 12px; }
+    .icon { padding: 12px; background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; }
+    .icon.deprecated { border-color: #f59e0b; }
+    .preview { display: flex; justify-content: center; padding: 12px; background: repeating-conic-gradient(#f3f4f6 0 25%, #fff 0 50%) 0 0 / 16px 16px; border-radius: 6px; }
+    .icon h3 { margin: 8px 0 4px; font-size: 14px; word-break: break-all; }
+    .description { margin: 0 0 8px; color: #4b5563; }
+    .deprecation { margin: 0 0 8px; color: #b45309; }
+    dl { display: grid; grid-template-columns: auto 1fr; gap: 2px 8px; margin: 0 0 8px; }
+    dt { color: #6b7280; }
+    dd { margin: 0; word-break: break-all; }
+    code { font: 12px/1.4 ui-monospace, SFMono-Regular, Menlo, monospace; }
+    summary { cursor: pointer; color: #2563eb; }
+    .snippets { margin: 8px 0 0; padding: 0; list-style: none; }
+    .snippet { display: grid; grid-template-columns: 1fr auto; gap: 2px 8px; padding: 6px 0; border-top: 1px solid #f3f4f6; }
+    .snippet-label { grid-column: 1 / -1; color: #6b7280; font-size: 12px; }
+    .snippet code { word-break: break-all; }
+    .copy { align-self: start; padding: 2px 8px; font: inherit; font-size: 12px; background: #fff; border: 1px solid #d1d5db; border-radius: 4px; cursor: pointer; }
+    .copy.copied { color: #047857; border-color: #047857; }
+    .empty { padding: 48px; text-align: center; color: #6b7280; }
+    [hidden] { display: none !important; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(catalog.title)}</h1>
+    <input type="search" id="search" placeholder="Search ${catalog.totalIcons} icons…" aria-label="Search icons" autofocus>
+    <select id="brand" aria-label="Brand">
+      <option value="">All brands (${catalog.totalBrands})</option>
+      ${catalog.brands.map(brand => `<option value="${escapeHtml(brand.name)}">${escapeHtml(brand.name)}</option>`).join('\n      ')}
+    </select>
+    <span id="count">${catalog.totalIcons} icons</span>
+  </header>
+  <main>
+  ${catalog.brands.map(renderBrand).join('\n  ')}
+  <p class="empty" id="empty" hidden>No icons match your search.</p>
+  </main>
+  <footer class="empty">Generated ${escapeHtml(catalog.generatedAt)}${catalog.figma ? ` from ${escapeHtml(describeFigmaSource(catalog.figma))}` : ''}</footer>
+  <script>
+    (function () {
+      var search = document.getElementById('search');
+      var brand = document.getElementById('brand');
+      var count = document.getElementById('count');
+      var empty = document.getElementById('empty');
+      var icons = Array.prototype.slice.call(document.querySelectorAll('.icon'));
+      var sections = Array.prototype.slice.call(document.querySelectorAll('.brand'));
+      
+      function filter() {
+        var terms = search.value.toLowerCase().split(/\\s+/).filter(Boolean);
+        var visible = 0;
+        
+        icons.forEach(function (icon) {
+          var matches = (!brand.value || icon.dataset.brand === brand.value) &&
+            terms.every(function (term) { return icon.dataset.search.indexOf(term) !== -1; });
+          icon.hidden = !matches;
+          if (matches) visible++;
+        });
+        
+        sections.forEach(function (section) {
+          section.hidden = !section.querySelector('.icon:not([hidden])');
+        });
+        
+        count.textContent = visible + ' icons';
+        empty.hidden = visible > 0;
+      }
+      
+      // The Clipboard API is unavailable on some file:// pages
+      function copy(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+          return navigator.clipboard.writeText(text);
+        }
+        
+        var textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        document.execCommand('copy');
+        document.body.removeChild(textarea);
+        return Promise.resolve();
+      }
+      
+      document.addEventListener('click', function (event) {
+        var button = event.target.closest('.copy');
+        if (!button) return;
+        
+        copy(button.dataset.copy).then(function () {
+          button.textContent = 'Copied';
+          button.classList.add('copied');
+          setTimeout(function () {
+            button.textContent = 'Copy';
+            button.classList.remove('copied');
+          }, 1500);
+        });
+      });
+      
+      search.addEventListener('input', filter);
+      brand.addEventListener('change', filter);
+    })();
+  </script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  escapeHtml,
+  generateCatalogHtml
+};
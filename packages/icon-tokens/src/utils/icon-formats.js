@@ -0,0 +1,61 @@
+const { TokenManager } = require('./token-manager');
+
+const FILE_HEADER = `/**
+ * Do not edit directly, this file was auto-generated.
+ */
+
+`;
+
+// Descriptions and deprecation reasons come from Figma, so a `*/` in them
+// must not end the /* */ or /** */ comment they are written into
+function escapeBlockComment(text) {
+  return String(text).replace(/\*\//g, '*\\/');
+}
+
+function createDocComment(lines, indentation = '') {
+  if (lines.length === 0) return '';
+  
+  return `${indentation}/**\n${lines.map(line => `${indentation} * ${escapeBlockComment(line)}`).join('\n')}\n${indentation} */\n`;
+}
+
+function getDeprecationDocLines(deprecation) {
+  return deprecation ? [`@deprecated ${TokenManager.formatDeprecation(deprecation)}`] : [];
+}
+
+// Same output as Style Dictionary's javascript/es6 format, with each export
+// documented and deprecated tokens tagged for editors and linters
+async function javascriptIconsFormat({ dictionary }) {
+  const exports = dictionary.allTokens.map(token => {
+    const docLines = [
+      ...(token.description ? [token.description] : []),
+      ...getDeprecationDocLines(token.deprecated)
+    ];
+    
+    return `${createDocComment(docLines)}export const ${token.name} = ${JSON.stringify(token.value)};`;
+  });
+  
+  return `${FILE_HEADER}${exports.join('\n')}\n`;
+}
+
+// Declarations for javascriptIconsFormat, typed with the literal asset paths
+async function typescriptIconsDeclarationsFormat({ dictionary }) {
+  const declarations = dictionary.allTokens.map(token => {
+    const docLines = [
+      ...(token.description ? [token.description] : []),
+      ...getDeprecationDocLines(token.deprecated)
+    ];
+    
+    return `${createDocComment(docLines)}export const ${token.name}: ${JSON.stringify(token.value)};`;
+  });
+  
+  return `${FILE_HEADER}${declarations.join('\n')}\n`;
+}
+
+module.exports = {
+  FILE_HEADER,
+  escapeBlockComment,
+  createDocComment,
+  getDeprecationDocLines,
+  javascriptIconsFormat,
+  typescriptIconsDeclarationsFormat
+};
@@ -0,0 +1,432 @@
+const fs = require('fs');
+const path = require('path');
+const { TokenManager } = require('./token-manager');
+const { DEFAULT_RULES: DEFAULT_LINT_RULES, SEVERITIES } = require('./svg-linter');
+
+class ProjectConfigError extends Error {
+  constructor(message, code, details) {
+    super(message);
+    this.name = 'ProjectConfigError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const CONFIG_FILE_NAMES = ['icons.config.js', 'icons.config.json'];
+
+const FONT_FORMATS = ['woff2', 'woff', 'ttf', 'eot', 'svg'];
+
+const DEFAULT_CONFIG = {
+  assetsDir: 'assets',
+  tokensDir: 'tokens',
+  distDir: 'dist',
+  package: {
+    scope: '@your-org',
+    namePrefix: 'icons-',
+    version: '1.0.0',
+    author: 'Your Organization',
+    license: 'MIT',
+    repository: 'https://gitlab.com/your-org/icons',
+    registry: 'https://gitlab.com/api/v4/projects/YOUR_PROJECT_ID/packages/npm/'
+  },
+  png: {
+    sizes: [16, 24, 32, 48, 64],
+    // 2 and 3 add @2x/@3x files for high-DPI screens
+    densities: [1],
+    formats: ['png'],
+    // Transparent space around the icon, in px at 1x
+    padding: 0,
+    // Any CSS color; keeps the icon's shape and replaces its colors
+    tint: null
+  },
+  font: {
+    // Defaults to 'MyIconFont' for the single-brand build and
+    // '<Brand>IconFont' for each brand of the multi-brand build
+    fontName: null,
+    startUnicode: 0xe000,
+    formats: ['woff2', 'woff', 'ttf'],
+    fontHeight: 1000,
+    descent: 150
+  },
+  optimize: {
+    enabled: true,
+    multipass: true,
+    keepViewBox: true,
+    currentColor: true,
+    overrides: {},
+    plugins: []
+  },
+  // SVG validation during Figma sync and before builds
+  lint: {
+    enabled: true,
+    rules: DEFAULT_LINT_RULES
+  },
+  figma: {
+    fileKey: null,
+    // Point at a stand-in server (e.g. src/testing/mock-figma-server.js)
+    // to sync without the live API
+    baseUrl: 'https://api.figma.com/v1',
+    containers: [],
+    retryAttempts: 3,     // attempts per request, including the first
+    retryDelay: 1000,     // base of the jittered exponential backoff (ms)
+    maxRetryDelay: 60000, // longest backoff or Retry-After the sync will wait (ms)
+    rateLimit: 100,       // API requests per minute
+    burst: 10,            // API requests that may be sent at once before rateLimit applies
+    downloadRateLimit: 1200, // SVG downloads per minute, from pre-signed image URLs outside the API limit
+    exportChunkSize: 100, // node ids per export request
+    concurrency: 8,       // export requests or SVG downloads in flight
+    timeout: 30000
+  },
+  brands: {}
+};
+
+// Sections a brand may override under `brands.<name>`
+const BRAND_SECTIONS = ['package', 'png', 'font', 'optimize', 'lint'];
+
+// Options of the lint rules besides `severity`
+const LINT_RULE_OPTIONS = {
+  'artboard-size': {
+    width: { type: 'integer', min: 1 },
+    height: { type: 'integer', min: 1 }
+  },
+  'no-hardcoded-colors': {
+    allow: { type: 'array', items: { type: 'string' } }
+  },
+  'max-paths': {
+    max: { type: 'integer', min: 0 }
+  },
+  'max-file-size': {
+    maxBytes: { type: 'integer', min: 1 }
+  }
+};
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    assetsDir: { type: 'string' },
+    tokensDir: { type: 'string' },
+    distDir: { type: 'string' },
+    package: {
+      type: 'object',
+      properties: {
+        scope: { type: 'string', pattern: /^@[a-z0-9][a-z0-9._~-]*$/, hint: 'an npm scope such as "@acme"' },
+        namePrefix: { type: 'string' },
+        version: { type: 'string', pattern: /^\d+\.\d+\.\d+(?:[-+].+)?$/, hint: 'a semver version' },
+        author: { type: 'string' },
+        license: { type: 'string' },
+        repository: { type: 'string' },
+        registry: { type: 'string', pattern: /^https?:\/\//, hint: 'an http(s) URL' }
+      }
+    },
+    png: {
+      type: 'object',
+      properties: {
+        sizes: { type: 'array', minItems: 1, items: { type: 'integer', min: 1 } },
+        densities: { type: 'array', minItems: 1, items: { type: 'integer', min: 1 } },
+        formats: { type: 'array', minItems: 1, items: { type: 'string', enum: ['png', 'webp', 'avif'] } },
+        padding: { type: 'integer', min: 0 },
+        tint: { type: 'string', nullable: true }
+      }
+    },
+    font: {
+      type: 'object',
+      properties: {
+        fontName: { type: 'string', nullable: true, pattern: /^[A-Za-z][A-Za-z0-9_-]*$/, hint: 'letters, digits, "-" or "_"' },
+        startUnicode: { type: 'codepoint' },
+        formats: { type: 'array', minItems: 1, items: { type: 'string', enum: FONT_FORMATS } },
+        fontHeight: { type: 'integer', min: 1 },
+        descent: { type: 'integer', min: 0 }
+      }
+    },
+    optimize: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        multipass: { type: 'boolean' },
+        keepViewBox: { type: 'boolean' },
+        currentColor: { type: 'boolean' },
+        // Passed through to svgo untouched
+        overrides: { type: 'object' },
+        plugins: { type: 'array' }
+      }
+    },
+    lint: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        rules: {
+          type: 'object',
+          properties: Object.keys(DEFAULT_LINT_RULES).reduce((acc, rule) => {
+            acc[rule] = {
+              type: 'object',
+              properties: {
+                severity: { type: 'string', enum: SEVERITIES },
+                ...LINT_RULE_OPTIONS[rule]
+              }
+            };
+            return acc;
+          }, {})
+        }
+      }
+    },
+    figma: {
+      type: 'object',
+      properties: {
+        fileKey: { type: 'string', nullable: true },
+        baseUrl: { type: 'string', pattern: /^https?:\/\//, hint: 'an http(s) URL' },
+        containers: { type: 'array', items: { type: 'string' } },
+        retryAttempts: { type: 'integer', min: 0 },
+        retryDelay: { type: 'integer', min: 0 },
+        maxRetryDelay: { type: 'integer', min: 0 },
+        rateLimit: { type: 'integer', min: 1 },
+        burst: { type: 'integer', min: 1 },
+        downloadRateLimit: { type: 'integer', min: 1 },
+        exportChunkSize: { type: 'integer', min: 1 },
+        concurrency: { type: 'integer', min: 1 },
+        timeout: { type: 'integer', min: 1 }
+      }
+    }
+  }
+};
+
+SCHEMA.properties.brands = {
+  type: 'object',
+  additionalProperties: {
+    type: 'object',
+    properties: BRAND_SECTIONS.reduce((acc, section) => {
+      acc[section] = SCHEMA.properties[section];
+      return acc;
+    }, {})
+  }
+};
+
+// Optimization can only be switched off for the whole build
+const { enabled: _enabled, ...brandOptimizeProperties } = SCHEMA.properties.optimize.properties;
+SCHEMA.properties.brands.additionalProperties.properties.optimize = {
+  type: 'object',
+  properties: brandOptimizeProperties
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// Returns a list of `<key path> <problem>` messages, empty when valid
+function validateValue(value, schema, keyPath) {
+  if (value === null && schema.nullable) return [];
+  
+  switch (schema.type) {
+    case 'object': {
+      if (!isPlainObject(value)) {
+        return [`${keyPath} must be an object, got ${describeType(value)}`];
+      }
+      
+      // Free-form objects are not checked any deeper
+      if (!schema.properties && !schema.additionalProperties) return [];
+      
+      const errors = [];
+      for (const [key, child] of Object.entries(value)) {
+        const childPath = keyPath ? `${keyPath}.${key}` : key;
+        const childSchema = schema.properties
+          ? schema.properties[key]
+          : schema.additionalProperties;
+        
+        if (!childSchema) {
+          errors.push(`${childPath} is not a known option (expected one of: ${Object.keys(schema.properties).join(', ')})`);
+          continue;
+        }
+        
+        errors.push(...validateValue(child, childSchema, childPath));
+      }
+      return errors;
+    }
+    
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return [`${keyPath} must be an array, got ${describeType(value)}`];
+      }
+      if (schema.minItems && value.length < schema.minItems) {
+        return [`${keyPath} must contain at least ${schema.minItems} item(s)`];
+      }
+      if (!schema.items) return [];
+      
+      return value.flatMap((item, index) => validateValue(item, schema.items, `${keyPath}[${index}]`));
+    }
+    
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        return [`${keyPath} must be an integer, got ${JSON.stringify(value)}`];
+      }
+      if (schema.min !== undefined && value < schema.min) {
+        return [`${keyPath} must be at least ${schema.min}, got ${value}`];
+      }
+      return [];
+    
+    case 'codepoint': {
+      const codepoint = typeof value === 'string' && /^(?:0x|U\+)?[0-9a-f]+$/i.test(value)
+        ? TokenManager.parseCodepoint(value.replace(/^(?:0x|U\+)/i, ''))
+        : value;
+      
+      // Icon fonts must stay inside the Basic Multilingual Plane private use area
+      if (!Number.isInteger(codepoint) || codepoint < 0xe000 || codepoint > 0xf8ff) {
+        return [`${keyPath} must be a codepoint between E000 and F8FF (number or hex string), got ${JSON.stringify(value)}`];
+      }
+      return [];
+    }
+    
+    default:
+      if (typeof value !== schema.type) {
+        return [`${keyPath} must be a ${schema.type}, got ${describeType(value)}`];
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        return [`${keyPath} must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`];
+      }
+      if (schema.pattern && !schema.pattern.test(value)) {
+        return [`${keyPath} must be ${schema.hint || `a string matching ${schema.pattern}`}, got ${JSON.stringify(value)}`];
+      }
+      return [];
+  }
+}
+
+function validateProjectConfig(config, source = 'icons config') {
+  const errors = isPlainObject(config)
+    ? validateValue(config, SCHEMA, '')
+    : [`the config must export an object, got ${describeType(config)}`];
+  
+  if (errors.length > 0) {
+    throw new ProjectConfigError(
+      `Invalid ${source}:\n${errors.map(error => `  - ${error}`).join('\n')}`,
+      'INVALID_CONFIG',
+      { source, errors }
+    );
+  }
+  
+  return config;
+}
+
+// Objects merge key by key, everything else (arrays included) is replaced
+function mergeConfig(base, override) {
+  if (!isPlainObject(override)) return override === undefined ? base : override;
+  if (!isPlainObject(base)) return override;
+  
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = mergeConfig(base[key], value);
+  }
+  return merged;
+}
+
+function findConfigFile(cwd) {
+  for (const fileName of CONFIG_FILE_NAMES) {
+    const filePath = path.join(cwd, fileName);
+    if (fs.existsSync(filePath)) return filePath;
+  }
+  return null;
+}
+
+function readConfigFile(configPath) {
+  try {
+    if (path.extname(configPath) === '.json') {
+      return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    }
+    
+    delete require.cache[require.resolve(configPath)];
+    const loaded = require(configPath);
+    return loaded && loaded.__esModule ? loaded.default : loaded;
+  } catch (error) {
+    throw new ProjectConfigError(
+      `Failed to load icons config ${configPath}: ${error.message}`,
+      'LOAD_ERROR',
+      { configPath, originalError: error }
+    );
+  }
+}
+
+class ProjectConfig {
+  constructor(config = {}, options = {}) {
+    this.configPath = options.configPath || null;
+    this.rootDir = options.rootDir || (this.configPath ? path.dirname(this.configPath) : process.cwd());
+    
+    validateProjectConfig(config, this.configPath || 'icons config');
+    
+    const resolved = mergeConfig(DEFAULT_CONFIG, config);
+    resolved.font.startUnicode = ProjectConfig.normalizeCodepoint(resolved.font.startUnicode);
+    
+    for (const brandConfig of Object.values(resolved.brands)) {
+      if (brandConfig.font && brandConfig.font.startUnicode !== undefined) {
+        brandConfig.font.startUnicode = ProjectConfig.normalizeCodepoint(brandConfig.font.startUnicode);
+      }
+    }
+    
+    Object.assign(this, resolved);
+    
+    // Directories are relative to the config file
+    this.assetsDir = path.resolve(this.rootDir, resolved.assetsDir);
+    this.tokensDir = path.resolve(this.rootDir, resolved.tokensDir);
+    this.distDir = path.resolve(this.rootDir, resolved.distDir);
+  }
+  
+  static normalizeCodepoint(value) {
+    return typeof value === 'string'
+      ? TokenManager.parseCodepoint(value.replace(/^(?:0x|U\+)/i, ''))
+      : value;
+  }
+  
+  // Loads icons.config.js or icons.config.json from `cwd` (or an explicit
+  // `configPath`); without a file every option keeps its default
+  static load(options = {}) {
+    const cwd = options.cwd || process.cwd();
+    const configPath = options.configPath
+      ? path.resolve(cwd, options.configPath)
+      : findConfigFile(cwd);
+    
+    if (!configPath) {
+      return new ProjectConfig({}, { rootDir: cwd });
+    }
+    
+    if (!fs.existsSync(configPath)) {
+      throw new ProjectConfigError(`Icons config not found: ${configPath}`, 'CONFIG_NOT_FOUND', { configPath });
+    }
+    
+    return new ProjectConfig(readConfigFile(configPath), { configPath });
+  }
+  
+  getBrandConfig(brandName) {
+    const overrides = this.brands[brandName] || {};
+    
+    return BRAND_SECTIONS.reduce((acc, section) => {
+      acc[section] = mergeConfig(this[section], overrides[section]);
+      return acc;
+    }, {});
+  }
+  
+  getPackageName(brandName) {
+    const { scope, namePrefix } = this.getBrandConfig(brandName).package;
+    return `${scope}/${namePrefix}${brandName}`;
+  }
+  
+  // SvgOptimizer options with each brand's `optimize` section as overrides
+  getOptimizerOptions() {
+    const brands = {};
+    for (const [brandName, brandConfig] of Object.entries(this.brands)) {
+      if (brandConfig.optimize) {
+        brands[brandName] = brandConfig.optimize;
+      }
+    }
+    
+    return { ...this.optimize, brands };
+  }
+}
+
+module.exports = {
+  ProjectConfig,
+  ProjectConfigError,
+  DEFAULT_CONFIG,
+  validateProjectConfig
+};
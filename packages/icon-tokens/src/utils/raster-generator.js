@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const { optimize } = require('svgo');
+const { parseSvg, parseViewBox } = require('./svg-parser');
+
+class RasterGeneratorError extends Error {
+  constructor(message, code, details) {
+    super(message);
+    this.name = 'RasterGeneratorError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// librsvg renders SVGs at 72 DPI unless told otherwise
+const BASE_DENSITY = 72;
+const MAX_DENSITY = 100000;
+
+const FORMATS = ['png', 'webp', 'avif'];
+
+// Renders icons into square rasters. Each SVG is rasterized at the density
+// that yields the target pixel size directly, so large and @3x outputs are
+// as sharp as small ones instead of being upscaled.
+class RasterGenerator {
+  constructor(sharp, options = {}) {
+    if (typeof sharp !== 'function') {
+      throw new RasterGeneratorError('sharp function is required', 'MISSING_SHARP');
+    }
+    
+    this.sharp = sharp;
+    this.sizes = options.sizes || [16, 24, 32, 48, 64];
+    this.densities = options.densities || [1];
+    this.formats = options.formats || ['png'];
+    this.padding = options.padding || 0; // px at 1x, on every side
+    this.tint = options.tint || null;
+    
+    const unknownFormats = this.formats.filter(format => !FORMATS.includes(format));
+    if (unknownFormats.length > 0) {
+      throw new RasterGeneratorError(
+        `Unsupported raster format(s): ${unknownFormats.join(', ')}`,
+        'UNSUPPORTED_FORMAT',
+        { formats: unknownFormats }
+      );
+    }
+  }
+  
+  getFileName(iconName, size, density, format) {
+    return `${iconName}-${size}${density > 1 ? `@${density}x` : ''}.${format}`;
+  }
+  
+  // librsvg sizes the render from width/height when they are set, so
+  // `width="24" viewBox="0 0 960 960"` would come out far smaller than the
+  // density computed from the viewBox intends. Without them it uses the
+  // viewBox (which removeDimensions adds from width/height when missing).
+  prepare(content) {
+    try {
+      return Buffer.from(optimize(content.toString('utf8'), { plugins: ['removeDimensions'] }).data);
+    } catch (error) {
+      throw new RasterGeneratorError(
+        `Failed to prepare SVG for rendering: ${error.message}`,
+        'PREPARE_ERROR',
+        { originalError: error }
+      );
+    }
+  }
+  
+  async render(content, viewBox, pixelSize, paddingPixels) {
+    const innerSize = pixelSize - paddingPixels * 2;
+    
+    if (innerSize <= 0) {
+      throw new RasterGeneratorError(
+        `Padding of ${paddingPixels}px leaves no room for a ${pixelSize}px icon`,
+        'INVALID_PADDING'
+      );
+    }
+    
+    const density = viewBox
+      ? Math.min(MAX_DENSITY, (BASE_DENSITY * innerSize) / Math.max(viewBox.width, viewBox.height))
+      : BASE_DENSITY;
+    const transparent = { r: 0, g: 0, b: 0, alpha: 0 };
+    
+    // `contain` keeps the aspect ratio and pads the short side
+    let buffer = await this.sharp(content, { density })
+      .resize(innerSize, innerSize, { fit: 'contain', background: transparent })
+      .extend({
+        top: paddingPixels,
+        bottom: paddingPixels,
+        left: paddingPixels,
+        right: paddingPixels,
+        background: transparent
+      })
+      .png()
+      .toBuffer();
+    
+    if (this.tint) {
+      // Keep the icon's alpha, replace every color with the tint
+      buffer = await this.sharp({
+        create: { width: pixelSize, height: pixelSize, channels: 4, background: this.tint }
+      })
+        .composite([{ input: buffer, blend: 'dest-in' }])
+        .png()
+        .toBuffer();
+    }
+    
+    return buffer;
+  }
+  
+  encode(buffer, format) {
+    const image = this.sharp(buffer);
+    
+    switch (format) {
+      case 'webp':
+        return image.webp({ lossless: true }).toBuffer();
+      case 'avif':
+        return image.avif({ lossless: true }).toBuffer();
+      default:
+        return image.png({ compressionLevel: 9 }).toBuffer();
+    }
+  }
+  
+  // Writes `<outputDir>/<format>/<name>-<size>[@<density>x].<format>` for every
+  // combination and returns manifest entries with paths relative to outputDir
+  async generate(icons, outputDir, onFile) {
+    const entries = [];
+    
+    for (const format of this.formats) {
+      const formatDir = path.join(outputDir, format);
+      if (!fs.existsSync(formatDir)) {
+        fs.mkdirSync(formatDir, { recursive: true });
+      }
+    }
+    
+    for (const icon of icons) {
+      const content = this.prepare(fs.readFileSync(icon.path));
+      const viewBox = parseViewBox(parseSvg(content.toString('utf8')));
+      
+      for (const size of this.sizes) {
+        for (const density of this.densities) {
+          const pixelSize = size * density;
+          const rendered = await this.render(content, viewBox, pixelSize, this.padding * density);
+          
+          for (const format of this.formats) {
+            const fileName = this.getFileName(icon.name, size, density, format);
+            const data = await this.encode(rendered, format);
+            
+            fs.writeFileSync(path.join(outputDir, format, fileName), data);
+            
+            const entry = {
+              icon: icon.name,
+              format,
+              size,
+              density,
+              width: pixelSize,
+              height: pixelSize,
+              bytes: data.length,
+              file: `${format}/${fileName}`
+            };
+            entries.push(entry);
+            
+            if (onFile) onFile(entry);
+          }
+        }
+      }
+    }
+    
+    return entries;
+  }
+  
+  createManifest(entries, extra = {}) {
+    return {
+      ...extra,
+      sizes: this.sizes,
+      densities: this.densities,
+      formats: this.formats,
+      padding: this.padding,
+      tint: this.tint,
+      rasters: entries
+    };
+  }
+}
+
+module.exports = { RasterGenerator, RasterGeneratorError };
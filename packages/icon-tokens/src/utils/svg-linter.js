@@ -0,0 +1,291 @@
+const fs = require('fs');
+const { parseSvg, walkElements, parseViewBox } = require('./svg-parser');
+
+class SvgLinterError extends Error {
+  constructor(message, code, details) {
+    super(message);
+    this.name = 'SvgLinterError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const SEVERITIES = ['error', 'warning', 'off'];
+
+const SHAPE_ELEMENTS = ['path', 'circle', 'ellipse', 'line', 'polygon', 'polyline', 'rect'];
+const COLOR_PROPERTIES = ['fill', 'stroke', 'color', 'stop-color', 'flood-color', 'lighting-color'];
+const EVENT_ATTRIBUTE = /^on[a-z]+$/i;
+
+// Every rule with its default severity and options. `error` fails the sync
+// or build, `warning` is only reported, `off` disables the rule.
+const DEFAULT_RULES = {
+  'require-viewbox': { severity: 'error' },
+  'artboard-size': { severity: 'off', width: 24, height: 24 },
+  'no-raster-images': { severity: 'error' },
+  'no-scripts': { severity: 'error' },
+  'no-external-references': { severity: 'error' },
+  'no-hardcoded-colors': { severity: 'warning', allow: ['currentColor', 'none', 'transparent', 'inherit'] },
+  'max-paths': { severity: 'warning', max: 20 },
+  'max-file-size': { severity: 'error', maxBytes: 10240 }
+};
+
+// Declarations of a style attribute or the text of a <style> element
+function parseStyle(style) {
+  return style
+    .split(';')
+    .map(declaration => declaration.split(':'))
+    .filter(parts => parts.length >= 2)
+    .map(([property, ...value]) => ({ property: property.trim().toLowerCase(), value: value.join(':').trim() }));
+}
+
+function getStyleText(node) {
+  return (node.children || [])
+    .filter(child => child.type === 'text' || child.type === 'cdata')
+    .map(child => child.value)
+    .join('');
+}
+
+// url(...) targets that are neither fragment references nor data: URIs
+function getExternalUrls(text) {
+  return Array.from(text.matchAll(/url\(\s*['"]?([^'")]*)/g), ([, url]) => url)
+    .filter(url => !/^(?:#|data:)/i.test(url));
+}
+
+// Every color-ish value with where it was found
+function collectPaints(svg) {
+  const paints = [];
+  const visit = node => {
+    for (const [name, value] of Object.entries(node.attributes)) {
+      if (COLOR_PROPERTIES.includes(name)) {
+        paints.push({ where: `<${node.name} ${name}>`, value });
+      } else if (name === 'style') {
+        parseStyle(value)
+          .filter(({ property }) => COLOR_PROPERTIES.includes(property))
+          .forEach(({ property, value: styleValue }) => paints.push({ where: `<${node.name} style="${property}">`, value: styleValue }));
+      }
+    }
+    
+    if (node.name === 'style') {
+      parseStyle(getStyleText(node).replace(/[^{}]*\{|\}/g, ';'))
+        .filter(({ property }) => COLOR_PROPERTIES.includes(property))
+        .forEach(({ property, value }) => paints.push({ where: `<style> ${property}`, value }));
+    }
+  };
+  
+  visit(svg);
+  walkElements(svg, visit);
+  return paints;
+}
+
+const RULES = {
+  'require-viewbox': ({ svg }) => {
+    return svg.attributes.viewBox ? [] : ['The root <svg> has no viewBox, so the icon cannot scale'];
+  },
+  
+  'artboard-size': ({ svg }, { width, height }) => {
+    const viewBox = parseViewBox(svg);
+    if (!viewBox) return [];
+    
+    return viewBox.width === width && viewBox.height === height
+      ? []
+      : [`Artboard is ${viewBox.width}×${viewBox.height}, expected ${width}×${height}`];
+  },
+  
+  'no-raster-images': ({ svg }) => {
+    const messages = [];
+    walkElements(svg, node => {
+      if (node.name === 'image') {
+        messages.push('<image> elements embed raster images; draw the icon with vector shapes');
+      }
+    });
+    return messages;
+  },
+  
+  'no-scripts': ({ svg }) => {
+    const messages = [];
+    const visit = node => {
+      if (node.name === 'script') {
+        messages.push('<script> elements are not allowed');
+      }
+      
+      for (const [name, value] of Object.entries(node.attributes)) {
+        if (EVENT_ATTRIBUTE.test(name)) {
+          messages.push(`Event handler attribute ${name} on <${node.name}> is not allowed`);
+        } else if (/^\s*javascript:/i.test(value)) {
+          messages.push(`javascript: URL in ${name} on <${node.name}> is not allowed`);
+        }
+      }
+    };
+    
+    visit(svg);
+    walkElements(svg, visit);
+    return messages;
+  },
+  
+  'no-external-references': ({ svg }) => {
+    const messages = [];
+    const visit = node => {
+      for (const [name, value] of Object.entries(node.attributes)) {
+        // data: URIs are inline; raster ones are reported by no-raster-images
+        if ((name === 'href' || name === 'xlink:href') && !/^\s*(?:#|data:|javascript:)/i.test(value)) {
+          messages.push(`<${node.name} ${name}="${value.length > 60 ? `${value.slice(0, 60)}…` : value}"> references a resource outside the icon`);
+        }
+        
+        for (const url of getExternalUrls(value)) {
+          messages.push(`url(${url}) in ${name} on <${node.name}> references a resource outside the icon`);
+        }
+      }
+      
+      if (node.name === 'style') {
+        const styleText = getStyleText(node);
+        
+        if (/@import/i.test(styleText)) {
+          messages.push('@import in <style> loads an external stylesheet');
+        }
+        for (const url of getExternalUrls(styleText)) {
+          messages.push(`url(${url}) in <style> references a resource outside the icon`);
+        }
+      }
+      if (node.name === 'foreignObject') {
+        messages.push('<foreignObject> embeds non-SVG content');
+      }
+    };
+    
+    visit(svg);
+    walkElements(svg, visit);
+    return messages;
+  },
+  
+  'no-hardcoded-colors': ({ svg }, { allow }) => {
+    const allowed = allow.map(value => value.toLowerCase());
+    
+    return collectPaints(svg)
+      .filter(({ value }) => !allowed.includes(value.toLowerCase()) && !/^url\(/i.test(value))
+      .map(({ where, value }) => `Hardcoded color ${value} in ${where}; use currentColor`);
+  },
+  
+  'max-paths': ({ svg }, { max }) => {
+    let count = 0;
+    walkElements(svg, node => {
+      if (SHAPE_ELEMENTS.includes(node.name)) count++;
+    });
+    
+    return count > max ? [`${count} shapes, at most ${max} allowed; merge paths to simplify the icon`] : [];
+  },
+  
+  'max-file-size': ({ bytes }, { maxBytes }) => {
+    return bytes > maxBytes ? [`File is ${bytes} bytes, at most ${maxBytes} allowed`] : [];
+  }
+};
+
+// Validates SVG sources against configurable rules. Each rule reports
+// violations at its configured severity; unparseable markup is always an error.
+class SvgLinter {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.rules = {};
+    
+    const ruleOptions = options.rules || {};
+    const unknownRules = Object.keys(ruleOptions).filter(rule => !DEFAULT_RULES[rule]);
+    if (unknownRules.length > 0) {
+      throw new SvgLinterError(
+        `Unknown lint rule(s): ${unknownRules.join(', ')} (expected one of: ${Object.keys(DEFAULT_RULES).join(', ')})`,
+        'UNKNOWN_RULE',
+        { rules: unknownRules }
+      );
+    }
+    
+    for (const [rule, defaults] of Object.entries(DEFAULT_RULES)) {
+      this.rules[rule] = { ...defaults, ...ruleOptions[rule] };
+      
+      if (!SEVERITIES.includes(this.rules[rule].severity)) {
+        throw new SvgLinterError(
+          `Invalid severity for lint rule ${rule}: ${this.rules[rule].severity} (expected one of: ${SEVERITIES.join(', ')})`,
+          'INVALID_SEVERITY',
+          { rule }
+        );
+      }
+    }
+  }
+  
+  // Returns { violations: [{ rule, severity, message }], errors, warnings }
+  lint(content) {
+    const violations = [];
+    
+    if (this.enabled) {
+      let svg = null;
+      
+      try {
+        svg = parseSvg(content);
+      } catch (error) {
+        violations.push({ rule: 'valid-svg', severity: 'error', message: error.message });
+      }
+      
+      if (svg) {
+        const context = { svg, content, bytes: Buffer.byteLength(content) };
+        
+        for (const [rule, options] of Object.entries(this.rules)) {
+          if (options.severity === 'off') continue;
+          
+          for (const message of RULES[rule](context, options)) {
+            violations.push({ rule, severity: options.severity, message });
+          }
+        }
+      }
+    }
+    
+    return {
+      violations,
+      errors: violations.filter(violation => violation.severity === 'error').length,
+      warnings: violations.filter(violation => violation.severity === 'warning').length
+    };
+  }
+  
+  lintFile(filePath) {
+    return this.lint(fs.readFileSync(filePath, 'utf8'));
+  }
+  
+  // Lints the SVGs of each brand with that brand's `lint` config section
+  static lintBrands(brandManager, projectConfig, brandNames) {
+    const results = [];
+    
+    for (const brand of brandNames) {
+      const linter = new SvgLinter(projectConfig.getBrandConfig(brand).lint);
+      
+      for (const icon of brandManager.getIconsForBrand(brand)) {
+        if (icon.format !== 'svg') continue;
+        results.push({ brand, name: icon.name, path: icon.path, ...linter.lintFile(icon.path) });
+      }
+    }
+    
+    return SvgLinter.createReport(results);
+  }
+  
+  // `results` are lint() results extended with { name, brand? }
+  static createReport(results) {
+    return {
+      icons: results.length,
+      errors: results.reduce((sum, result) => sum + result.errors, 0),
+      warnings: results.reduce((sum, result) => sum + result.warnings, 0),
+      results: results.filter(result => result.violations.length > 0)
+    };
+  }
+  
+  // Report lines: one block per icon with violations, then a summary
+  static formatReport(report) {
+    const lines = [];
+    
+    for (const result of report.results) {
+      lines.push(`${result.errors > 0 ? '❌' : '⚠️'} ${result.brand ? `${result.brand}/` : ''}${result.name}`);
+      
+      for (const violation of result.violations) {
+        lines.push(`   ${violation.severity.padEnd(7)} ${violation.rule.padEnd(22)} ${violation.message}`);
+      }
+    }
+    
+    lines.push(`${report.icons} icons checked: ${report.errors} errors, ${report.warnings} warnings in ${report.results.length} icons`);
+    return lines;
+  }
+}
+
+module.exports = { SvgLinter, SvgLinterError, DEFAULT_RULES, SEVERITIES };
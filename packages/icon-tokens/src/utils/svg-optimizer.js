@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+
+class SvgOptimizerError extends Error {
+  constructor(message, code, details) {
+    super(message);
+    this.name = 'SvgOptimizerError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class SvgOptimizer {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.multipass = options.multipass !== false;
+    this.keepViewBox = options.keepViewBox !== false;
+    this.currentColor = options.currentColor !== false;
+    this.overrides = options.overrides || {};
+    this.plugins = options.plugins || [];
+    this.brands = options.brands || {};
+    
+    if (this.enabled) {
+      try {
+        this.svgo = require('svgo');
+      } catch (error) {
+        throw new SvgOptimizerError(
+          `Failed to load svgo: ${error.message}`,
+          'SVGO_NOT_FOUND',
+          { originalError: error }
+        );
+      }
+    }
+  }
+  
+  getBrandOptions(brandName) {
+    const brandOptions = this.brands[brandName] || {};
+    
+    return {
+      multipass: brandOptions.multipass !== undefined ? brandOptions.multipass : this.multipass,
+      keepViewBox: brandOptions.keepViewBox !== undefined ? brandOptions.keepViewBox : this.keepViewBox,
+      currentColor: brandOptions.currentColor !== undefined ? brandOptions.currentColor : this.currentColor,
+      overrides: { ...this.overrides, ...brandOptions.overrides },
+      plugins: [...this.plugins, ...(brandOptions.plugins || [])]
+    };
+  }
+  
+  getSvgoConfig(brandName) {
+    const options = this.getBrandOptions(brandName);
+    const overrides = {
+      // Icons are scaled by the consumer, so the viewBox must survive
+      ...(options.keepViewBox ? { removeViewBox: false } : {}),
+      // Fixed fills/strokes become currentColor so icons follow the text color
+      ...(options.currentColor ? { convertColors: { currentColor: true } } : {}),
+      ...options.overrides
+    };
+    
+    return {
+      multipass: options.multipass,
+      plugins: [
+        { name: 'preset-default', params: { overrides } },
+        'removeDimensions',
+        ...options.plugins
+      ]
+    };
+  }
+  
+  optimize(content, brandName, filePath) {
+    const originalSize = Buffer.byteLength(content);
+    
+    if (!this.enabled) {
+      return { data: content, originalSize, optimizedSize: originalSize, saved: 0 };
+    }
+    
+    try {
+      const result = this.svgo.optimize(content, {
+        path: filePath,
+        ...this.getSvgoConfig(brandName)
+      });
+      const optimizedSize = Buffer.byteLength(result.data);
+      
+      return {
+        data: result.data,
+        originalSize,
+        optimizedSize,
+        saved: originalSize - optimizedSize
+      };
+    } catch (error) {
+      throw new SvgOptimizerError(
+        `Failed to optimize ${filePath || 'SVG'}: ${error.message}`,
+        'OPTIMIZE_ERROR',
+        { originalError: error, path: filePath }
+      );
+    }
+  }
+  
+  optimizeIcons(brandName, icons, outputDir) {
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+    
+    const report = [];
+    
+    const optimizedIcons = icons.map(icon => {
+      if (icon.format !== 'svg') return icon;
+      
+      const content = fs.readFileSync(icon.path, 'utf8');
+      const result = this.optimize(content, brandName, icon.path);
+      const optimizedPath = path.join(outputDir, icon.filename);
+      
+      fs.writeFileSync(optimizedPath, result.data);
+      
+      report.push({
+        name: icon.name,
+        originalSize: result.originalSize,
+        optimizedSize: result.optimizedSize,
+        saved: result.saved
+      });
+      
+      return {
+        ...icon,
+        sourcePath: icon.path,
+        path: optimizedPath,
+        size: result.optimizedSize
+      };
+    });
+    
+    return { icons: optimizedIcons, report };
+  }
+}
+
+module.exports = { SvgOptimizer, SvgOptimizerError };
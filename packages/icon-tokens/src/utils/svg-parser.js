@@ -0,0 +1,112 @@
+const { optimize } = require('svgo');
+
+class SvgParserError extends Error {
+  constructor(message, code, details) {
+    super(message);
+    this.name = 'SvgParserError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Parses SVG markup into svgo's xast tree. svgo is only used for its parser:
+// the single plugin captures the tree and leaves it untouched.
+function parseSvg(content) {
+  let root = null;
+  
+  try {
+    optimize(content, {
+      plugins: [{
+        name: 'captureTree',
+        fn: (tree) => {
+          root = tree;
+          return {};
+        }
+      }]
+    });
+  } catch (error) {
+    throw new SvgParserError(
+      `Failed to parse SVG: ${error.message}`,
+      'PARSE_ERROR',
+      { originalError: error }
+    );
+  }
+  
+  const svg = root && root.children.find(node => node.type === 'element' && node.name === 'svg');
+  
+  if (!svg) {
+    throw new SvgParserError('No <svg> root element found', 'MISSING_SVG_ROOT');
+  }
+  
+  return svg;
+}
+
+function getElementChildren(node) {
+  return (node.children || []).filter(child => child.type === 'element');
+}
+
+function walkElements(node, visitor, ancestors = []) {
+  for (const child of getElementChildren(node)) {
+    visitor(child, ancestors);
+    walkElements(child, visitor, [...ancestors, child]);
+  }
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function stringifyNode(node) {
+  if (node.type === 'text') return escapeXml(node.value);
+  if (node.type === 'cdata') return `<![CDATA[${node.value}]]>`;
+  if (node.type !== 'element') return '';
+  
+  const attributes = Object.entries(node.attributes)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
+  const children = (node.children || []).map(stringifyNode).join('');
+  
+  return children
+    ? `<${node.name}${attributes}>${children}</${node.name}>`
+    : `<${node.name}${attributes}/>`;
+}
+
+// Markup of everything inside the root <svg>, without the root itself
+function getInnerMarkup(svg) {
+  return (svg.children || []).map(stringifyNode).join('');
+}
+
+function parseViewBox(svg) {
+  const viewBox = svg.attributes.viewBox;
+  
+  if (viewBox) {
+    const [minX, minY, width, height] = viewBox.trim().split(/[\s,]+/).map(Number);
+    if ([minX, minY, width, height].every(Number.isFinite)) {
+      return { minX, minY, width, height };
+    }
+  }
+  
+  const width = parseFloat(svg.attributes.width);
+  const height = parseFloat(svg.attributes.height);
+  
+  if (Number.isFinite(width) && Number.isFinite(height)) {
+    return { minX: 0, minY: 0, width, height };
+  }
+  
+  return null;
+}
+
+module.exports = {
+  SvgParserError,
+  parseSvg,
+  getElementChildren,
+  walkElements,
+  escapeXml,
+  stringifyNode,
+  getInnerMarkup,
+  parseViewBox
+};
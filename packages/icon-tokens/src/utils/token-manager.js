@@ -155,6 +155,204 @@ class TokenManager {
     };
   }
   
+  deprecateIconToken(brand, iconName, options = {}) {
+    const tokens = this.loadTokens();
+    const tokenKey = this.createTokenKey(brand, iconName);
+    
+    if (!tokens.icon[tokenKey]) {
+      throw new TokenManagerError(
+        `Token not found: ${tokenKey}`,
+        'TOKEN_NOT_FOUND'
+      );
+    }
+    
+    if (options.replacement && !tokens.icon[this.createTokenKey(brand, options.replacement)]) {
+      throw new TokenManagerError(
+        `Replacement token not found: ${this.createTokenKey(brand, options.replacement)}`,
+        'REPLACEMENT_NOT_FOUND'
+      );
+    }
+    
+    tokens.icon[tokenKey] = {
+      ...tokens.icon[tokenKey],
+      deprecated: TokenManager.createDeprecation(options)
+    };
+    
+    this.saveTokens(tokens);
+    
+    return {
+      key: tokenKey,
+      token: tokens.icon[tokenKey],
+      deprecated: true
+    };
+  }
+  
+  restoreIconToken(brand, iconName) {
+    const tokens = this.loadTokens();
+    const tokenKey = this.createTokenKey(brand, iconName);
+    
+    if (!tokens.icon[tokenKey]) {
+      throw new TokenManagerError(
+        `Token not found: ${tokenKey}`,
+        'TOKEN_NOT_FOUND'
+      );
+    }
+    
+    const { deprecated, ...token } = tokens.icon[tokenKey];
+    tokens.icon[tokenKey] = token;
+    
+    this.saveTokens(tokens);
+    
+    return {
+      key: tokenKey,
+      token,
+      restored: !!deprecated
+    };
+  }
+  
+  getDeprecatedTokens(brand) {
+    const tokens = this.loadTokens();
+    const deprecatedTokens = {};
+    
+    Object.entries(tokens.icon).forEach(([key, token]) => {
+      if (token.deprecated && (!brand || token.brand === brand)) {
+        deprecatedTokens[key] = token;
+      }
+    });
+    
+    return deprecatedTokens;
+  }
+  
+  static createDeprecation(options = {}) {
+    return {
+      replacement: options.replacement || null,
+      reason: options.reason || null,
+      removeAfter: options.removeAfter || null,
+      deprecatedAt: options.deprecatedAt || new Date().toISOString(),
+      ...(options.source ? { source: options.source } : {})
+    };
+  }
+  
+  static formatDeprecation(deprecation) {
+    if (!deprecation) return '';
+    
+    const parts = [];
+    if (deprecation.replacement) parts.push(`Use '${deprecation.replacement}' instead.`);
+    if (deprecation.reason) parts.push(`${deprecation.reason.replace(/\.$/, '')}.`);
+    if (deprecation.removeAfter) parts.push(`Will be removed after ${deprecation.removeAfter}.`);
+    
+    return parts.join(' ') || 'This icon is deprecated.';
+  }
+  
+  // Groups icons ({ name, variantOf, variant }) by the component set they
+  // are variants of: { 'arrow-left': [{ name: 'arrow-left--filled--24',
+  // variant: { style: 'filled', size: 24 } }] }. Other icons are left out.
+  static groupVariants(icons) {
+    return icons.reduce((groups, icon) => {
+      if (!icon.variantOf) return groups;
+      
+      groups[icon.variantOf] = groups[icon.variantOf] || [];
+      groups[icon.variantOf].push({ name: icon.name, variant: icon.variant || {} });
+      return groups;
+    }, {});
+  }
+  
+  static isPastRemoval(deprecation, currentVersion) {
+    if (!deprecation || !deprecation.removeAfter || !currentVersion) return false;
+    
+    const current = String(currentVersion).split('.').map(Number);
+    const removeAfter = String(deprecation.removeAfter).split('.').map(Number);
+    
+    for (let i = 0; i < Math.max(current.length, removeAfter.length); i++) {
+      const diff = (current[i] || 0) - (removeAfter[i] || 0);
+      if (diff !== 0) return diff > 0;
+    }
+    
+    return false;
+  }
+  
+  // Codepoints are stored on the tokens so every icon keeps its glyph across
+  // builds; icons without one get the next value after the highest the brand
+  // ever used. That high-water mark is stored too (in $extensions.codepoints),
+  // so the codepoint of a deleted icon is never handed out again.
+  assignCodepoints(brand, iconNames, startCodepoint = 0xe000) {
+    const tokens = this.loadTokens();
+    const brandTokens = Object.values(tokens.icon).filter(token => token.brand === brand);
+    
+    const usedCodepoints = brandTokens
+      .map(token => TokenManager.parseCodepoint(token.codepoint))
+      .filter(codepoint => codepoint !== null);
+    const highWaterMark = TokenManager.getCodepointHighWaterMark(tokens, brand);
+    let nextCodepoint = Math.max(startCodepoint - 1, highWaterMark, ...usedCodepoints) + 1;
+    
+    const codepoints = {};
+    let changed = false;
+    
+    for (const iconName of iconNames) {
+      const tokenKey = this.createTokenKey(brand, iconName);
+      
+      if (!tokens.icon[tokenKey]) {
+        tokens.icon[tokenKey] = {
+          value: this.createTokenValue(brand, iconName),
+          type: 'asset',
+          description: `${iconName} icon for ${brand}`,
+          brand: brand,
+          name: iconName,
+          originalName: iconName
+        };
+      }
+      
+      let codepoint = TokenManager.parseCodepoint(tokens.icon[tokenKey].codepoint);
+      
+      if (codepoint === null) {
+        codepoint = nextCodepoint++;
+        tokens.icon[tokenKey].codepoint = TokenManager.formatCodepoint(codepoint);
+        changed = true;
+      }
+      
+      codepoints[iconName] = codepoint;
+    }
+    
+    if (nextCodepoint - 1 > highWaterMark && nextCodepoint - 1 >= startCodepoint) {
+      const extensions = tokens.$extensions || {};
+      tokens.$extensions = {
+        ...extensions,
+        codepoints: { ...extensions.codepoints, [brand]: TokenManager.formatCodepoint(nextCodepoint - 1) }
+      };
+      changed = true;
+    }
+    
+    if (changed) {
+      this.saveTokens(tokens);
+    }
+    
+    return codepoints;
+  }
+  
+  // Highest codepoint ever assigned to the brand, or -1
+  static getCodepointHighWaterMark(tokens, brand) {
+    const codepoints = tokens.$extensions && tokens.$extensions.codepoints;
+    const highWaterMark = codepoints ? TokenManager.parseCodepoint(codepoints[brand]) : null;
+    return highWaterMark === null ? -1 : highWaterMark;
+  }
+  
+  static parseCodepoint(value) {
+    if (value === undefined || value === null || value === '') return null;
+    
+    const codepoint = typeof value === 'number' ? value : parseInt(value, 16);
+    return Number.isInteger(codepoint) ? codepoint : null;
+  }
+  
+  static formatCodepoint(codepoint) {
+    return codepoint.toString(16).toUpperCase();
+  }
+  
+  // Figma file, version and sync time recorded by the last sync, or null
+  getFigmaSource() {
+    const tokens = this.loadTokens();
+    return tokens.$extensions && tokens.$extensions.figma ? tokens.$extensions.figma : null;
+  }
+  
   getIconToken(brand, iconName) {
     const tokens = this.loadTokens();
     const tokenKey = this.createTokenKey(brand, iconName);
@@ -203,7 +401,7 @@ class TokenManager {
   syncWithFileSystem(brandManager) {
     try {
       const tokens = this.loadTokens();
-      const newTokens = { icon: {} };
+      const newTokens = { ...(tokens.$extensions ? { $extensions: tokens.$extensions } : {}), icon: {} };
       
       // Get all brand icons from file system
       const brandIcons = brandManager.getAllBrandIcons();
@@ -222,7 +420,9 @@ class TokenManager {
             originalName: existingToken?.originalName || icon.name,
             lastModified: icon.modified,
             size: icon.size,
-            format: icon.format
+            format: icon.format,
+            ...(existingToken?.codepoint ? { codepoint: existingToken.codepoint } : {}),
+            ...(existingToken?.deprecated ? { deprecated: existingToken.deprecated } : {})
           };
         });
       });
@@ -300,6 +500,26 @@ class TokenManager {
       if (key !== expectedKey) {
         errors.push(`Token key "${key}" doesn't match expected format "${expectedKey}"`);
       }
+      
+      if (token.codepoint !== undefined && TokenManager.parseCodepoint(token.codepoint) === null) {
+        errors.push(`Token "${key}" has an invalid "codepoint" property "${token.codepoint}"`);
+      }
+      
+      if (token.deprecated !== undefined) {
+        if (!token.deprecated || typeof token.deprecated !== 'object') {
+          errors.push(`Token "${key}" has an invalid "deprecated" property, expected an object`);
+        } else if (token.deprecated.replacement &&
+          !tokens.icon[this.createTokenKey(token.brand, token.deprecated.replacement)]) {
+          errors.push(`Token "${key}" is deprecated in favour of unknown icon "${token.deprecated.replacement}"`);
+        }
+      }
+    });
+    
+    const highWaterMarks = tokens.$extensions && tokens.$extensions.codepoints;
+    Object.entries(highWaterMarks || {}).forEach(([brand, codepoint]) => {
+      if (TokenManager.parseCodepoint(codepoint) === null) {
+        errors.push(`Codepoint high-water mark of brand "${brand}" is invalid: "${codepoint}"`);
+      }
     });
     
     return errors;
@@ -324,7 +544,8 @@ class TokenManager {
       summary.brands[token.brand].icons.push({
         name: token.name,
         originalName: token.originalName,
-        value: token.value
+        value: token.value,
+        deprecated: token.deprecated || null
       });
     });
     
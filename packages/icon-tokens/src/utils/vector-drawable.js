@@ -0,0 +1,457 @@
+const { parseSvg, getElementChildren, parseViewBox, escapeXml } = require('./svg-parser');
+
+class VectorDrawableError extends Error {
+  constructor(message, code, details) {
+    super(message);
+    this.name = 'VectorDrawableError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Presentation attributes that cascade from <svg>/<g> to the shapes inside
+const INHERITED_ATTRIBUTES = [
+  'fill',
+  'fill-opacity',
+  'fill-rule',
+  'stroke',
+  'stroke-opacity',
+  'stroke-width',
+  'stroke-linecap',
+  'stroke-linejoin',
+  'stroke-miterlimit'
+];
+
+const SHAPE_ELEMENTS = ['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon'];
+
+// Elements without visual output of their own
+const IGNORED_ELEMENTS = ['title', 'desc', 'metadata', 'defs'];
+
+// Attributes with no VectorDrawable equivalent; the element is still drawn without them
+const UNSUPPORTED_ATTRIBUTES = {
+  'clip-path': 'clip paths',
+  mask: 'masks',
+  filter: 'filters',
+  'stroke-dasharray': 'dashed strokes',
+  'marker-start': 'markers',
+  'marker-mid': 'markers',
+  'marker-end': 'markers',
+  'vector-effect': 'vector effects'
+};
+
+const NAMED_COLORS = {
+  black: '000000',
+  white: 'FFFFFF',
+  red: 'FF0000',
+  green: '008000',
+  blue: '0000FF',
+  gray: '808080',
+  grey: '808080'
+};
+
+const PATH_COMMANDS = /[MmZzLlHhVvCcSsQqTtAa]/;
+const PATH_NUMBER = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+
+function formatNumber(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+// Re-serializes path data with explicit separators. Optimizers write arc
+// flags without spaces ("a1 1 0 011 1"), which older Android path parsers
+// read as a single number.
+function normalizePathData(d) {
+  const tokens = [];
+  let command = null;
+  let paramIndex = 0;
+  let i = 0;
+  
+  while (i < d.length) {
+    const char = d[i];
+    
+    if (/[\s,]/.test(char)) {
+      i++;
+    } else if (PATH_COMMANDS.test(char)) {
+      command = char;
+      paramIndex = 0;
+      tokens.push(char);
+      i++;
+    } else if (command && /[Aa]/.test(command) && (paramIndex % 7 === 3 || paramIndex % 7 === 4)) {
+      if (char !== '0' && char !== '1') {
+        throw new VectorDrawableError(`Invalid arc flag '${char}' in path data`, 'INVALID_PATH_DATA', { d });
+      }
+      tokens.push(char);
+      paramIndex++;
+      i++;
+    } else {
+      PATH_NUMBER.lastIndex = i;
+      const match = PATH_NUMBER.exec(d);
+      
+      if (!match) {
+        throw new VectorDrawableError(`Invalid path data near '${d.slice(i, i + 10)}'`, 'INVALID_PATH_DATA', { d });
+      }
+      tokens.push(match[0]);
+      paramIndex++;
+      i += match[0].length;
+    }
+  }
+  
+  return tokens.join(' ');
+}
+
+function parseNumber(value, fallback = 0) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+function parsePoints(value) {
+  const numbers = (value || '').trim().split(/[\s,]+/).filter(Boolean).map(Number);
+  const points = [];
+  for (let i = 0; i + 1 < numbers.length; i += 2) {
+    points.push([numbers[i], numbers[i + 1]]);
+  }
+  return points;
+}
+
+function parseStyle(style) {
+  return (style || '').split(';').reduce((acc, declaration) => {
+    const [property, ...rest] = declaration.split(':');
+    if (property && rest.length > 0) {
+      acc[property.trim()] = rest.join(':').trim();
+    }
+    return acc;
+  }, {});
+}
+
+class VectorDrawableConverter {
+  constructor(options = {}) {
+    this.size = options.size || 24; // dp, for the longer side of the viewBox
+  }
+  
+  // Converts SVG markup into VectorDrawable XML. `issues` lists every SVG
+  // feature that was dropped or approximated, so callers can report them.
+  convert(content, options = {}) {
+    const svg = parseSvg(content);
+    const viewBox = parseViewBox(svg);
+    const issues = [];
+    
+    if (!viewBox || viewBox.width <= 0 || viewBox.height <= 0) {
+      throw new VectorDrawableError('SVG has no usable viewBox or width/height', 'MISSING_VIEWBOX');
+    }
+    
+    const context = { issues, paints: new Set(), hasStyleSheet: false };
+    const rootAttributes = this.getPresentationAttributes(svg, {}, 1, context);
+    const hasOffset = viewBox.minX !== 0 || viewBox.minY !== 0;
+    let children = this.convertChildren(
+      svg,
+      rootAttributes.inherited,
+      rootAttributes.opacity,
+      hasOffset ? '        ' : '    ',
+      context
+    );
+    
+    // The viewport always starts at 0,0
+    if (hasOffset) {
+      children = [this.wrapInGroup(children, { translateX: -viewBox.minX, translateY: -viewBox.minY }, '    ')];
+    }
+    
+    const scale = this.size / Math.max(viewBox.width, viewBox.height);
+    const attributes = [
+      'xmlns:android="http://schemas.android.com/apk/res/android"',
+      `android:width="${formatNumber(viewBox.width * scale)}dp"`,
+      `android:height="${formatNumber(viewBox.height * scale)}dp"`,
+      `android:viewportWidth="${formatNumber(viewBox.width)}"`,
+      `android:viewportHeight="${formatNumber(viewBox.height)}"`
+    ];
+    
+    // Single-color icons follow the theme like the SVGs follow currentColor
+    if (context.paints.size === 1 && context.paints.has('currentColor')) {
+      attributes.push('android:tint="?attr/colorControlNormal"');
+    }
+    
+    const comments = (options.comments || []).map(comment => `<!-- ${comment.replace(/--/g, '- -')} -->\n`).join('');
+    const xml = `<?xml version="1.0" encoding="utf-8"?>
+${comments}<vector ${attributes.join('\n    ')}>
+${children.join('\n')}
+</vector>
+`;
+
+    return { xml, issues };
+  }
+  
+  addIssue(context, node, feature) {
+    const element = node.attributes.id ? `<${node.name} id="${node.attributes.id}">` : `<${node.name}>`;
+    if (!context.issues.some(issue => issue.element === element && issue.feature === feature)) {
+      context.issues.push({ element, feature });
+    }
+  }
+  
+  getPresentationAttributes(node, inherited, opacity, context) {
+    const style = parseStyle(node.attributes.style);
+    const own = { ...node.attributes, ...style };
+    
+    if (own.class && context.hasStyleSheet) {
+      this.addIssue(context, node, 'CSS classes from <style> are ignored');
+    }
+    
+    for (const [attribute, feature] of Object.entries(UNSUPPORTED_ATTRIBUTES)) {
+      if (own[attribute] && own[attribute] !== 'none') {
+        this.addIssue(context, node, `${feature} are not supported (${attribute})`);
+      }
+    }
+    
+    const next = { ...inherited };
+    for (const attribute of INHERITED_ATTRIBUTES) {
+      if (own[attribute] !== undefined && own[attribute] !== 'inherit') {
+        next[attribute] = own[attribute];
+      }
+    }
+    
+    return {
+      inherited: next,
+      // Group opacity is pushed down into each shape's alpha
+      opacity: opacity * parseNumber(own.opacity, 1),
+      hidden: own.display === 'none' || own.visibility === 'hidden'
+    };
+  }
+  
+  convertChildren(node, inherited, opacity, indentation, context) {
+    const elements = getElementChildren(node);
+    context.hasStyleSheet = context.hasStyleSheet || elements.some(child => child.name === 'style');
+    
+    return elements
+      .map(child => this.convertElement(child, inherited, opacity, indentation, context))
+      .filter(Boolean);
+  }
+  
+  convertElement(node, inherited, opacity, indentation, context) {
+    if (IGNORED_ELEMENTS.includes(node.name)) return null;
+    
+    if (node.name === 'style') {
+      this.addIssue(context, node, 'embedded stylesheets are not supported');
+      return null;
+    }
+    
+    if (node.name !== 'g' && !SHAPE_ELEMENTS.includes(node.name)) {
+      this.addIssue(context, node, `<${node.name}> elements are not supported`);
+      return null;
+    }
+    
+    const attributes = this.getPresentationAttributes(node, inherited, opacity, context);
+    if (attributes.hidden) return null;
+    
+    const transforms = this.parseTransform(node, context);
+    const innerIndentation = indentation + '    '.repeat(transforms.length);
+    
+    const content = node.name === 'g'
+      ? this.convertChildren(node, attributes.inherited, attributes.opacity, innerIndentation, context)
+      : [this.convertShape(node, attributes, innerIndentation, context)].filter(Boolean);
+    
+    if (content.length === 0) return null;
+    
+    // Each transform function becomes a nested group, outermost first
+    return transforms.reduceRight(
+      (children, transform, index) => [this.wrapInGroup(children, transform, indentation + '    '.repeat(index))],
+      content
+    ).join('\n');
+  }
+  
+  wrapInGroup(children, transform, indentation) {
+    const attributes = Object.entries(transform)
+      .map(([name, value]) => `${indentation}    android:${name}="${formatNumber(value)}"`)
+      .join('\n');
+    
+    return `${indentation}<group\n${attributes}>\n${children.join('\n')}\n${indentation}</group>`;
+  }
+  
+  // Returns group attributes for each transform function in order. Skews and
+  // matrices have no group equivalent and are reported instead.
+  parseTransform(node, context) {
+    const transform = node.attributes.transform;
+    if (!transform) return [];
+    
+    const groups = [];
+    const pattern = /(\w+)\s*\(([^)]*)\)/g;
+    let match;
+    
+    while ((match = pattern.exec(transform)) !== null) {
+      const [, name, rawArgs] = match;
+      const args = rawArgs.trim().split(/[\s,]+/).filter(Boolean).map(Number);
+      
+      switch (name) {
+        case 'translate':
+          groups.push({ translateX: args[0] || 0, translateY: args[1] || 0 });
+          break;
+        case 'scale':
+          groups.push({ scaleX: args[0], scaleY: args[1] !== undefined ? args[1] : args[0] });
+          break;
+        case 'rotate':
+          groups.push({ rotation: args[0] || 0, pivotX: args[1] || 0, pivotY: args[2] || 0 });
+          break;
+        default:
+          this.addIssue(context, node, `${name}() transforms are not supported`);
+      }
+    }
+    
+    return groups;
+  }
+  
+  getShapePathData(node) {
+    const a = node.attributes;
+    
+    switch (node.name) {
+      case 'path':
+        return a.d ? normalizePathData(a.d) : null;
+      
+      case 'rect': {
+        const x = parseNumber(a.x);
+        const y = parseNumber(a.y);
+        const width = parseNumber(a.width);
+        const height = parseNumber(a.height);
+        if (width <= 0 || height <= 0) return null;
+        
+        let rx = a.rx !== undefined ? parseNumber(a.rx) : parseNumber(a.ry);
+        let ry = a.ry !== undefined ? parseNumber(a.ry) : rx;
+        rx = Math.min(rx, width / 2);
+        ry = Math.min(ry, height / 2);
+        
+        if (rx <= 0 || ry <= 0) {
+          return `M ${x} ${y} H ${x + width} V ${y + height} H ${x} Z`;
+        }
+        
+        return [
+          `M ${x + rx} ${y}`,
+          `H ${x + width - rx}`,
+          `A ${rx} ${ry} 0 0 1 ${x + width} ${y + ry}`,
+          `V ${y + height - ry}`,
+          `A ${rx} ${ry} 0 0 1 ${x + width - rx} ${y + height}`,
+          `H ${x + rx}`,
+          `A ${rx} ${ry} 0 0 1 ${x} ${y + height - ry}`,
+          `V ${y + ry}`,
+          `A ${rx} ${ry} 0 0 1 ${x + rx} ${y}`,
+          'Z'
+        ].join(' ');
+      }
+      
+      case 'circle':
+      case 'ellipse': {
+        const cx = parseNumber(a.cx);
+        const cy = parseNumber(a.cy);
+        const rx = node.name === 'circle' ? parseNumber(a.r) : parseNumber(a.rx);
+        const ry = node.name === 'circle' ? rx : parseNumber(a.ry);
+        if (rx <= 0 || ry <= 0) return null;
+        
+        return `M ${cx - rx} ${cy} A ${rx} ${ry} 0 1 0 ${cx + rx} ${cy} A ${rx} ${ry} 0 1 0 ${cx - rx} ${cy} Z`;
+      }
+      
+      case 'line':
+        return `M ${parseNumber(a.x1)} ${parseNumber(a.y1)} L ${parseNumber(a.x2)} ${parseNumber(a.y2)}`;
+      
+      case 'polyline':
+      case 'polygon': {
+        const points = parsePoints(a.points);
+        if (points.length < 2) return null;
+        
+        const d = points.map(([x, y], index) => `${index === 0 ? 'M' : 'L'} ${x} ${y}`).join(' ');
+        return node.name === 'polygon' ? `${d} Z` : d;
+      }
+      
+      default:
+        return null;
+    }
+  }
+  
+  // Android colors are #AARRGGBB; returns null for `none`
+  parseColor(value, node, context) {
+    const color = value.trim();
+    
+    if (color === 'none' || color === 'transparent') return null;
+    
+    if (color === 'currentColor') {
+      context.paints.add('currentColor');
+      return '#FF000000';
+    }
+    
+    context.paints.add(color);
+    
+    if (color.startsWith('url(')) {
+      this.addIssue(context, node, 'gradient and pattern paints are not supported');
+      return null;
+    }
+    
+    let hex = NAMED_COLORS[color.toLowerCase()];
+    let alpha = 1;
+    
+    const hexMatch = color.match(/^#([0-9a-f]{3,8})$/i);
+    const rgbMatch = color.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+))?\s*\)$/i);
+    
+    if (hexMatch && [3, 4, 6, 8].includes(hexMatch[1].length)) {
+      let digits = hexMatch[1];
+      if (digits.length <= 4) {
+        digits = digits.split('').map(digit => digit + digit).join('');
+      }
+      hex = digits.slice(0, 6);
+      if (digits.length === 8) {
+        alpha = parseInt(digits.slice(6), 16) / 255;
+      }
+    } else if (rgbMatch) {
+      hex = rgbMatch.slice(1, 4)
+        .map(channel => Math.min(255, Math.round(Number(channel))).toString(16).padStart(2, '0'))
+        .join('');
+      if (rgbMatch[4] !== undefined) {
+        alpha = Number(rgbMatch[4]);
+      }
+    }
+    
+    if (!hex) {
+      this.addIssue(context, node, `color '${color}' is not supported, black is used instead`);
+      hex = '000000';
+    }
+    
+    const alphaHex = Math.round(Math.min(1, Math.max(0, alpha)) * 255).toString(16).padStart(2, '0');
+    return `#${alphaHex}${hex}`.toUpperCase();
+  }
+  
+  convertShape(node, attributes, indentation, context) {
+    const pathData = this.getShapePathData(node);
+    if (!pathData) return null;
+    
+    const style = attributes.inherited;
+    const lines = [];
+    
+    // SVG fills shapes black unless told otherwise
+    const fillColor = this.parseColor(style.fill !== undefined ? style.fill : 'black', node, context);
+    if (fillColor && node.name !== 'line') {
+      lines.push(`android:fillColor="${fillColor}"`);
+      
+      const fillAlpha = parseNumber(style['fill-opacity'], 1) * attributes.opacity;
+      if (fillAlpha < 1) lines.push(`android:fillAlpha="${formatNumber(fillAlpha)}"`);
+      if (style['fill-rule'] === 'evenodd') lines.push('android:fillType="evenOdd"');
+    }
+    
+    const strokeColor = style.stroke ? this.parseColor(style.stroke, node, context) : null;
+    if (strokeColor) {
+      lines.push(`android:strokeColor="${strokeColor}"`);
+      lines.push(`android:strokeWidth="${formatNumber(parseNumber(style['stroke-width'], 1))}"`);
+      
+      const strokeAlpha = parseNumber(style['stroke-opacity'], 1) * attributes.opacity;
+      if (strokeAlpha < 1) lines.push(`android:strokeAlpha="${formatNumber(strokeAlpha)}"`);
+      if (style['stroke-linecap'] && style['stroke-linecap'] !== 'butt') {
+        lines.push(`android:strokeLineCap="${style['stroke-linecap']}"`);
+      }
+      if (style['stroke-linejoin'] && ['round', 'bevel'].includes(style['stroke-linejoin'])) {
+        lines.push(`android:strokeLineJoin="${style['stroke-linejoin']}"`);
+      }
+      if (style['stroke-miterlimit']) {
+        lines.push(`android:strokeMiterLimit="${formatNumber(parseNumber(style['stroke-miterlimit'], 4))}"`);
+      }
+    }
+    
+    if (!fillColor && !strokeColor) return null;
+    
+    lines.push(`android:pathData="${escapeXml(pathData)}"`);
+    
+    return `${indentation}<path\n${lines.map(line => `${indentation}    ${line}`).join('\n')}/>`;
+  }
+}
+
+module.exports = { VectorDrawableConverter, VectorDrawableError, normalizePathData };
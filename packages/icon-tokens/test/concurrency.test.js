@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { mapWithConcurrency, chunkItems } = require('../src/utils/concurrency');
+
+describe('mapWithConcurrency', () => {
+  it('never runs more than `limit` calls at once and keeps the order', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    
+    const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (delay, index) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      inFlight--;
+      return index;
+    });
+    
+    assert.equal(maxInFlight, 2);
+    assert.deepEqual(results.map(result => result.value), [0, 1, 2, 3, 4]);
+  });
+  
+  it('settles failures without stopping the other items', async () => {
+    const results = await mapWithConcurrency([1, 2, 3], 3, async (item) => {
+      if (item === 2) throw new Error('boom');
+      return item * 10;
+    });
+    
+    assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'fulfilled']);
+    assert.equal(results[1].reason.message, 'boom');
+    assert.equal(results[2].value, 30);
+  });
+  
+  it('handles an empty list', async () => {
+    assert.deepEqual(await mapWithConcurrency([], 4, async () => 1), []);
+  });
+});
+
+describe('chunkItems', () => {
+  it('splits by count', () => {
+    assert.deepEqual(chunkItems([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+  });
+  
+  it('splits before the joined length exceeds maxLength', () => {
+    // '1:10,1:11' is 9 characters, adding ',1:12' would make 14
+    assert.deepEqual(chunkItems(['1:10', '1:11', '1:12'], 100, 10), [['1:10', '1:11'], ['1:12']]);
+  });
+  
+  it('keeps an item longer than maxLength in a chunk of its own', () => {
+    assert.deepEqual(chunkItems(['a', 'toolong', 'b'], 100, 3), [['a'], ['toolong'], ['b']]);
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { FigmaApiService } = require('../src/services/figma-api');
+const { ProjectConfig } = require('../src/utils/project-config');
+const { MockFigmaServer } = require('../src/testing/mock-figma-server');
+
+const api = new FigmaApiService({ accessToken: 'test-token', config: new ProjectConfig({}) });
+
+describe('FigmaApiService variants', () => {
+  it('parses variant properties into sanitized names and numbers', () => {
+    assert.deepEqual(
+      api.parseVariantProperties('Size=24, Style=Filled, Stroke Width=1.5px, Has Badge=True'),
+      { size: 24, style: 'filled', 'stroke-width': 1.5, 'has-badge': 'true' }
+    );
+  });
+  
+  it('ignores parts that are not properties', () => {
+    assert.deepEqual(api.parseVariantProperties('Default'), {});
+  });
+  
+  it('names variants style, weight and size first, then other properties by name', () => {
+    assert.equal(
+      api.getVariantIconName('Arrow Left', { size: 24, state: 'hover', weight: 'bold', style: 'filled', corner: 'round' }),
+      'arrow-left--filled--bold--24--round--hover'
+    );
+    assert.equal(api.getVariantIconName('Arrow Left', { size: 1.5 }), 'arrow-left--1-5');
+  });
+});
+
+describe('FigmaApiService versions', () => {
+  it('lists every page of the version history, newest first', async (t) => {
+    const server = new MockFigmaServer({ versionsPageSize: 2 });
+    const baseUrl = await server.start();
+    t.after(() => server.stop());
+    
+    ['3001', '3002', '3003'].forEach(id => server.addVersion({ id, label: `v${id}` }));
+    const versionsApi = new FigmaApiService({ accessToken: 'test-token', baseUrl, config: new ProjectConfig({}) });
+    
+    const versions = await versionsApi.getFileVersions(server.fixture.fileKey);
+    
+    assert.deepEqual(versions.map(version => version.id), ['3003', '3002', '3001']);
+    assert.equal(server.getRequests('/versions').length, 2);
+    
+    const version = await versionsApi.getFileVersion(server.fixture.fileKey, '3002');
+    assert.equal(version.label, 'v3002');
+    // Found on the first page, so the second is not requested
+    assert.equal(server.getRequests('/versions').length, 3);
+  });
+});
@@ -0,0 +1,428 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FigmaIconSync } = require('../src/scripts/sync-figma-icons');
+const { ProjectConfig } = require('../src/utils/project-config');
+const { MockFigmaServer } = require('../src/testing/mock-figma-server');
+
+const FIXTURE_SVG_DIR = path.join(__dirname, 'fixtures', 'figma', 'svg');
+
+// Starts a mock Figma server with a fresh copy of the fixture and a sync
+// writing into a temp directory; both are cleaned up after the test
+async function createSyncContext(t, serverOptions = {}, figmaOptions = {}) {
+  // The sync and API service log every step
+  t.mock.method(console, 'log', () => {});
+  
+  const server = new MockFigmaServer(serverOptions);
+  const baseUrl = await server.start();
+  const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'icon-sync-'));
+  fs.mkdirSync(path.join(rootDir, 'assets'));
+  
+  t.after(async () => {
+    await server.stop();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+  
+  const config = new ProjectConfig({
+    figma: { baseUrl, retryAttempts: 3, retryDelay: 1, rateLimit: 60000, ...figmaOptions }
+  }, { rootDir });
+  
+  return {
+    server,
+    assetsDir: config.assetsDir,
+    tokensFile: path.join(config.tokensDir, 'icons.json'),
+    sync: (options = {}) => new FigmaIconSync({
+      config,
+      figmaFileKey: server.fixture.fileKey,
+      accessToken: 'test-token',
+      ...options
+    }).syncIcons(),
+    readTokens: () => JSON.parse(fs.readFileSync(path.join(config.tokensDir, 'icons.json'), 'utf8')).icon,
+    readSource: () => JSON.parse(fs.readFileSync(path.join(config.tokensDir, 'icons.json'), 'utf8')).$extensions.figma,
+    readIcon: (brand, name) => fs.readFileSync(path.join(config.assetsDir, brand, `${name}.svg`), 'utf8'),
+    iconExists: (brand, name) => fs.existsSync(path.join(config.assetsDir, brand, `${name}.svg`))
+  };
+}
+
+function findComponent(server, name) {
+  return server.getComponentNodes().find(({ node }) => node.name === name).node;
+}
+
+function removeComponent(server, name) {
+  const visit = node => {
+    if (!node.children) return;
+    node.children = node.children.filter(child => child.name !== name);
+    node.children.forEach(visit);
+  };
+  server.fixture.pages.forEach(visit);
+}
+
+function addComponentSet(server) {
+  // Brand A's "Icons" frame
+  server.fixture.pages[1].children[0].children.push({
+    id: '2:20',
+    name: 'Arrow Right',
+    type: 'COMPONENT_SET',
+    key: 'c0ffee0000000000000000000000000000000030',
+    description: 'Navigate forward',
+    updatedAt: '2026-01-02T10:00:00Z',
+    children: [
+      {
+        id: '2:21',
+        name: 'Style=Filled, Size=24',
+        type: 'COMPONENT',
+        key: 'c0ffee0000000000000000000000000000000031',
+        updatedAt: '2026-01-02T10:00:00Z',
+        svg: 'arrow-left.svg'
+      },
+      {
+        id: '2:22',
+        name: 'Size=16px, Style=Outline',
+        type: 'COMPONENT',
+        key: 'c0ffee0000000000000000000000000000000032',
+        description: 'Small outlined arrow',
+        updatedAt: '2026-01-02T10:00:00Z',
+        svg: 'arrow-left.svg'
+      }
+    ]
+  });
+}
+
+const CHANGED_CHECK_SVG = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none"><path d="M4 12l5 5L20 6" stroke="currentColor" stroke-width="3"/></svg>';
+
+describe('FigmaIconSync against the mock Figma API', () => {
+  it('adds every component as an icon with its token', async (t) => {
+    const { sync, readTokens, readIcon } = await createSyncContext(t);
+    
+    const result = await sync();
+    
+    assert.equal(result.success, true);
+    assert.equal(result.stats.added, 4);
+    assert.deepEqual(result.results.global.added.map(entry => entry.name).sort(), ['arrow-left', 'check', 'close']);
+    assert.deepEqual(result.results['brand-a'].added.map(entry => entry.name), ['star']);
+    assert.equal(readIcon('global', 'arrow-left'), fs.readFileSync(path.join(FIXTURE_SVG_DIR, 'arrow-left.svg'), 'utf8'));
+    
+    const token = readTokens()['global-arrow-left'];
+    assert.equal(token.value, 'global/arrow-left.svg');
+    assert.equal(token.description, 'Navigate back');
+    assert.equal(token.originalName, 'Arrow Left');
+    assert.equal(token.componentKey, 'c0ffee0000000000000000000000000000000010');
+    assert.equal(token.lastModified, '2026-01-02T10:00:00Z');
+    assert.match(token.hash, /^[0-9a-f]+$/);
+  });
+  
+  it('names variants after their component set and records their properties', async (t) => {
+    const { server, sync, readTokens, iconExists } = await createSyncContext(t);
+    
+    addComponentSet(server);
+    
+    const result = await sync();
+    
+    assert.equal(result.stats.added, 6);
+    assert.deepEqual(
+      result.results['brand-a'].added.map(entry => entry.name).sort(),
+      ['arrow-right--filled--24', 'arrow-right--outline--16', 'star']
+    );
+    assert.equal(iconExists('brand-a', 'arrow-right--filled--24'), true);
+    
+    const filled = readTokens()['brand-a-arrow-right--filled--24'];
+    assert.equal(filled.variantOf, 'arrow-right');
+    assert.deepEqual(filled.variant, { style: 'filled', size: 24 });
+    assert.equal(filled.componentSetKey, 'c0ffee0000000000000000000000000000000030');
+    assert.equal(filled.originalName, 'Arrow Right (Style=Filled, Size=24)');
+    // Variants without a description of their own use the set's
+    assert.equal(filled.description, 'Navigate forward');
+    
+    const outline = readTokens()['brand-a-arrow-right--outline--16'];
+    assert.deepEqual(outline.variant, { size: 16, style: 'outline' });
+    assert.equal(outline.description, 'Small outlined arrow');
+    
+    assert.equal(readTokens()['brand-a-star'].variantOf, undefined);
+  });
+  
+  it('skips unchanged icons without exporting or downloading them again', async (t) => {
+    const { server, sync } = await createSyncContext(t);
+    
+    await sync();
+    const exportsAfterFirstSync = server.getRequests('/v1/images/').length;
+    const downloadsAfterFirstSync = server.getRequests('/downloads/').length;
+    
+    const result = await sync();
+    
+    assert.equal(result.stats.unchanged, 4);
+    assert.equal(result.stats.added + result.stats.updated, 0);
+    assert.equal(server.getRequests('/v1/images/').length, exportsAfterFirstSync);
+    assert.equal(server.getRequests('/downloads/').length, downloadsAfterFirstSync);
+  });
+  
+  it('updates icons that changed in Figma', async (t) => {
+    const { server, sync, readIcon, readTokens } = await createSyncContext(t);
+    
+    await sync();
+    const previousHash = readTokens()['global-check'].hash;
+    
+    const check = findComponent(server, 'Check');
+    check.svgContent = CHANGED_CHECK_SVG;
+    check.updatedAt = '2026-02-01T10:00:00Z';
+    
+    const result = await sync();
+    
+    assert.equal(result.stats.updated, 1);
+    assert.equal(result.stats.unchanged, 3);
+    assert.equal(readIcon('global', 'check'), CHANGED_CHECK_SVG);
+    assert.notEqual(readTokens()['global-check'].hash, previousHash);
+    assert.equal(readTokens()['global-check'].lastModified, '2026-02-01T10:00:00Z');
+  });
+  
+  it('deprecates icons removed from Figma and deletes them after their removal version', async (t) => {
+    const { server, sync, readTokens, iconExists } = await createSyncContext(t);
+    
+    await sync();
+    removeComponent(server, 'Close');
+    
+    const deprecation = await sync({ removeAfter: '2.0.0' });
+    
+    assert.equal(deprecation.stats.deprecated, 1);
+    assert.equal(iconExists('global', 'close'), true);
+    assert.equal(readTokens()['global-close'].deprecated.removeAfter, '2.0.0');
+    
+    const beforeRemoval = await sync({ currentVersion: '2.0.0' });
+    
+    assert.equal(beforeRemoval.stats.removed, 0);
+    assert.equal(iconExists('global', 'close'), true);
+    
+    const removal = await sync({ currentVersion: '2.1.0' });
+    
+    assert.equal(removal.stats.removed, 1);
+    assert.equal(iconExists('global', 'close'), false);
+    assert.equal(readTokens()['global-close'], undefined);
+  });
+  
+  it('keeps existing icons and their tokens when the export fails', async (t) => {
+    const { server, sync, readIcon, readTokens } = await createSyncContext(t);
+    
+    await sync();
+    const originalCheck = readIcon('global', 'check');
+    const originalToken = readTokens()['global-check'];
+    
+    const check = findComponent(server, 'Check');
+    check.svgContent = CHANGED_CHECK_SVG;
+    check.updatedAt = '2026-02-01T10:00:00Z';
+    findComponent(server, 'Star').updatedAt = '2026-02-01T10:00:00Z';
+    
+    // Every attempt of the first export (the global brand) fails
+    server.failNext('/v1/images/', { status: 500, count: 3 });
+    
+    const result = await sync();
+    
+    assert.equal(result.results.global.errors.length, 1);
+    assert.match(result.results.global.errors[0].error, /Failed to export icons/);
+    assert.deepEqual(result.stats.errors.map(error => error.type), ['EXPORT_ERROR']);
+    assert.equal(readIcon('global', 'check'), originalCheck);
+    assert.equal(readTokens()['global-check'].hash, originalToken.hash);
+    assert.equal(readTokens()['global-check'].lastModified, originalToken.lastModified);
+    
+    // The other brand is exported separately and still syncs
+    assert.deepEqual(result.results['brand-a'].errors, []);
+    assert.equal(readTokens()['brand-a-star'].lastModified, '2026-02-01T10:00:00Z');
+  });
+  
+  it('retries requests rejected with 429 and succeeds', async (t) => {
+    const { server, sync } = await createSyncContext(t);
+    
+    server.failNext(/^\/v1\/files\/[^/]+$/, {
+      status: 429,
+      count: 2,
+      headers: { 'Retry-After': '0' },
+      body: { status: 429, err: 'Rate limit exceeded' }
+    });
+    
+    const result = await sync();
+    
+    assert.equal(result.success, true);
+    assert.equal(result.stats.added, 4);
+    assert.equal(server.getRequests(/^\/v1\/files\/[^/]+$/).length, 3);
+  });
+  
+  it('fails the sync when rate limiting outlasts the retries', async (t) => {
+    const { server, sync, iconExists } = await createSyncContext(t);
+    
+    server.failNext(/^\/v1\/files\/[^/]+$/, { status: 429, count: 10, headers: { 'Retry-After': '0' } });
+    
+    await assert.rejects(sync(), error => error.code === 'SYNC_FAILED' && /HTTP_429|Rate limit|Simulated failure/.test(error.message));
+    assert.equal(server.getRequests(/^\/v1\/files\/[^/]+$/).length, 3);
+    assert.equal(iconExists('global', 'check'), false);
+  });
+  
+  it('exports large brands in chunks', async (t) => {
+    const { server, sync } = await createSyncContext(t, {}, { exportChunkSize: 2 });
+    
+    const result = await sync();
+    
+    assert.equal(result.stats.added, 4);
+    // global's three icons take two requests, brand-a's one icon a third
+    assert.deepEqual(
+      server.getRequests('/v1/images/').map(request => request.query.ids.split(',').length).sort(),
+      [1, 1, 2]
+    );
+  });
+  
+  it('keeps syncing the other chunks when one export chunk fails', async (t) => {
+    const { server, sync, iconExists, readTokens } = await createSyncContext(t, {}, { exportChunkSize: 2, concurrency: 1 });
+    
+    // Every attempt of global's first chunk (Arrow Left and Check) fails
+    server.failNext('/v1/images/', { status: 500, count: 3 });
+    
+    const result = await sync();
+    
+    assert.equal(result.stats.added, 2);
+    assert.equal(iconExists('global', 'close'), true);
+    assert.equal(iconExists('brand-a', 'star'), true);
+    assert.equal(iconExists('global', 'check'), false);
+    assert.deepEqual(result.results.global.errors.map(error => error.icon).sort(), ['arrow-left', 'check']);
+    assert.match(result.results.global.errors[0].error, /Failed to export icon/);
+    assert.deepEqual(result.stats.errors.map(error => error.type), ['EXPORT_ERROR']);
+    assert.equal(readTokens()['global-check'].hash, null);
+  });
+  
+  it('records the file version and sync time in the tokens', async (t) => {
+    const { sync, readSource } = await createSyncContext(t);
+    
+    const startedAt = new Date().toISOString();
+    await sync();
+    
+    const source = readSource();
+    assert.equal(source.fileKey, 'MockFigmaFileKey000001');
+    assert.equal(source.fileName, 'Icon Library');
+    assert.equal(source.version, '1000000001');
+    assert.equal(source.pinned, false);
+    assert.equal(source.lastModified, '2026-01-05T09:00:00Z');
+    assert.ok(source.syncedAt >= startedAt);
+    
+    // A sync without changes keeps the recorded sync time
+    await sync();
+    assert.equal(readSource().syncedAt, source.syncedAt);
+  });
+  
+  it('syncs the icons of a pinned version', async (t) => {
+    const { server, sync, readIcon, readTokens, readSource, iconExists } = await createSyncContext(t);
+    
+    const versionId = server.addVersion({ id: '2001', label: 'Release 1.0', createdAt: '2026-01-06T12:00:00Z' });
+    
+    // Edits after the version must not show up in a pinned sync
+    findComponent(server, 'Check').svgContent = CHANGED_CHECK_SVG;
+    removeComponent(server, 'Close');
+    server.fixture.lastModified = '2026-02-01T10:00:00Z';
+    
+    const result = await sync({ figmaVersion: versionId });
+    
+    assert.equal(result.stats.added, 4);
+    assert.equal(readIcon('global', 'check'), fs.readFileSync(path.join(FIXTURE_SVG_DIR, 'check.svg'), 'utf8'));
+    assert.equal(iconExists('global', 'close'), true);
+    assert.equal(readTokens()['global-check'].componentKey, 'c0ffee0000000000000000000000000000000011');
+    assert.ok(server.getRequests('/v1/images/').every(request => request.query.version === '2001'));
+    
+    const source = readSource();
+    assert.equal(source.version, '2001');
+    assert.equal(source.versionLabel, 'Release 1.0');
+    assert.equal(source.pinned, true);
+    assert.equal(source.lastModified, '2026-01-05T09:00:00Z');
+  });
+  
+  it('fails when the pinned version is not in the file history', async (t) => {
+    const { server, sync, iconExists } = await createSyncContext(t);
+    
+    await assert.rejects(sync({ figmaVersion: '999' }), error => error.code === 'SYNC_FAILED' && /Version 999 not found/.test(error.message));
+    assert.equal(server.getRequests('/v1/images/').length, 0);
+    assert.equal(iconExists('global', 'check'), false);
+  });
+  
+  it('waits for Retry-After before retrying and reports the throttling', async (t) => {
+    const { server, sync } = await createSyncContext(t);
+    
+    server.failNext(/^\/v1\/files\/[^/]+$/, { status: 429, headers: { 'Retry-After': '1' } });
+    
+    const startedAt = Date.now();
+    const result = await sync();
+    
+    assert.equal(result.success, true);
+    assert.ok(Date.now() - startedAt >= 1000);
+    assert.equal(result.stats.api.rateLimited, 1);
+    assert.equal(result.stats.api.retryAfterMs, 1000);
+    assert.equal(result.stats.api.retries, 1);
+    assert.ok(result.stats.api.throttledMs >= 900);
+  });
+  
+  it('fails without waiting when Retry-After exceeds maxRetryDelay', async (t) => {
+    const { server, sync } = await createSyncContext(t);
+    
+    server.failNext(/^\/v1\/files\/[^/]+$/, { status: 429, headers: { 'Retry-After': '3600' } });
+    
+    await assert.rejects(sync(), error => error.code === 'SYNC_FAILED' && /retry after 3600s/.test(error.message));
+    assert.equal(server.getRequests(/^\/v1\/files\/[^/]+$/).length, 1);
+  });
+  
+  it('sends SVG downloads through their own rate limiter', async (t) => {
+    // One API request per minute after the burst: downloads sharing that
+    // budget would stall the sync
+    const { server, sync } = await createSyncContext(t, {}, { rateLimit: 1, burst: 20, downloadRateLimit: 60000 });
+    
+    const result = await sync();
+    
+    assert.equal(server.getRequests('/downloads/').length, 4);
+    assert.equal(result.stats.api.downloads, 4);
+    assert.equal(result.stats.api.requests, server.getRequests().length);
+    assert.equal(result.stats.api.throttled, 0);
+  });
+  
+  it('does not retry client errors other than 429', async (t) => {
+    const { server, sync, iconExists } = await createSyncContext(t);
+    
+    server.failNext('/downloads/', { status: 404 });
+    
+    const result = await sync();
+    
+    assert.equal(server.getRequests('/downloads/').length, 4);
+    assert.equal(result.stats.api.retries, 0);
+    assert.equal(result.stats.api.failed, 1);
+    assert.deepEqual(result.stats.errors.map(error => error.type), ['DOWNLOAD_ERROR']);
+    assert.equal(iconExists('brand-a', 'star'), true);
+  });
+  
+  it('does not retry authentication errors', async (t) => {
+    const { server, sync } = await createSyncContext(t, { accessToken: 'another-token' });
+    
+    await assert.rejects(sync(), { code: 'SYNC_FAILED' });
+    assert.equal(server.getRequests('/v1/files/').length, 1);
+  });
+  
+  it('reports changes without writing anything in dry-run mode', async (t) => {
+    const { sync, assetsDir, tokensFile } = await createSyncContext(t);
+    
+    const result = await sync({ dryRun: true });
+    
+    assert.equal(result.success, true);
+    assert.deepEqual(
+      result.results.global.added.map(entry => entry.action),
+      ['would-add', 'would-add', 'would-add']
+    );
+    assert.deepEqual(fs.readdirSync(assetsDir), []);
+    assert.equal(fs.existsSync(tokensFile), false);
+  });
+  
+  it('rejects icons that fail the SVG lint', async (t) => {
+    const { server, sync, iconExists } = await createSyncContext(t);
+    
+    findComponent(server, 'Close').svgContent = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><script>alert(1)</script><path d="M0 0h24v24H0z"/></svg>';
+    
+    const result = await sync();
+    
+    assert.equal(result.success, false);
+    assert.equal(result.stats.lint.rejected, 1);
+    assert.equal(iconExists('global', 'close'), false);
+    assert.equal(iconExists('global', 'check'), true);
+    assert.deepEqual(result.stats.errors.map(error => error.type), ['LINT_ERROR']);
+  });
+});
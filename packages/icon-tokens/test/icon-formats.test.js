@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { javascriptIconsFormat, createDocComment } = require('../src/utils/icon-formats');
+const { generateMaskCss } = require('../src/utils/css-icons');
+const { FontGenerator } = require('../src/utils/font-generator');
+
+const deprecated = { replacement: null, reason: 'Use the */ variant', removeAfter: null };
+
+// Throws with node's syntax error when `code` does not parse as a module
+function checkModule(t, code) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'icon-formats-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  
+  const file = path.join(dir, 'icons.mjs');
+  fs.writeFileSync(file, code);
+  execFileSync(process.execPath, ['--check', file], { stdio: 'pipe' });
+}
+
+// Comments in CSS don't nest, so every /* must be closed by its own */
+function assertCommentsClosed(css) {
+  const comments = css.match(/\/\*[\s\S]*?\*\//g) || [];
+  assert.equal(comments.length, (css.match(/\/\*/g) || []).length);
+  assert.ok(comments.every(comment => comment.endsWith(' */')));
+}
+
+describe('generated comments', () => {
+  it('escapes */ in token descriptions and deprecation reasons', async (t) => {
+    const code = await javascriptIconsFormat({
+      dictionary: {
+        allTokens: [{ name: 'GlobalArrow', value: 'global/arrow.svg', description: 'Points right */ or left', deprecated }]
+      }
+    });
+    
+    checkModule(t, code);
+    assert.match(code, /Points right \*\\\/ or left/);
+    assert.equal(createDocComment(['a */ b']), '/**\n * a *\\/ b\n */\n');
+  });
+  
+  it('escapes */ in CSS deprecation comments', () => {
+    const icon = { name: 'arrow', tokenName: 'global-arrow', dataUri: 'data:image/svg+xml,', deprecated };
+    const fontGenerator = new FontGenerator(() => {});
+    
+    assertCommentsClosed(generateMaskCss([icon]));
+    assertCommentsClosed(fontGenerator.generateCss('Icons', [{ name: 'arrow', codepoint: 0xe000 }], [icon]));
+  });
+});
@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter, RateLimiterError, parseRetryAfter } = require('../src/services/rate-limiter');
+
+describe('RateLimiter', () => {
+  it('lets a burst through and then spaces requests at the rate limit', async () => {
+    // 600 per minute is one token every 100ms
+    const limiter = new RateLimiter({ rateLimit: 600, burst: 2 });
+    
+    const startedAt = Date.now();
+    await Promise.all([1, 2, 3, 4].map(() => limiter.acquire()));
+    const elapsed = Date.now() - startedAt;
+    
+    assert.ok(elapsed >= 190, `took ${elapsed}ms`);
+    assert.equal(limiter.getStats().requests, 4);
+    assert.equal(limiter.getStats().throttled, 2);
+  });
+  
+  it('holds every request while paused', async () => {
+    const limiter = new RateLimiter({ rateLimit: 60000, burst: 10 });
+    
+    limiter.pause(200);
+    
+    const startedAt = Date.now();
+    await Promise.all([limiter.acquire(), limiter.acquire()]);
+    
+    assert.ok(Date.now() - startedAt >= 190);
+    assert.equal(limiter.getStats().throttled, 2);
+  });
+  
+  it('rejects invalid limits', () => {
+    assert.throws(() => new RateLimiter({ rateLimit: -1 }), RateLimiterError);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('reads delta-seconds and HTTP dates', () => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    
+    assert.equal(parseRetryAfter('30', now), 30000);
+    assert.equal(parseRetryAfter('0.5', now), 500);
+    assert.equal(parseRetryAfter('Thu, 01 Jan 2026 00:01:00 GMT', now), 60000);
+    assert.equal(parseRetryAfter('Wed, 31 Dec 2025 23:00:00 GMT', now), 0);
+  });
+  
+  it('ignores missing or malformed values', () => {
+    assert.equal(parseRetryAfter(undefined), null);
+    assert.equal(parseRetryAfter(''), null);
+    assert.equal(parseRetryAfter('soon'), null);
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TokenManager } = require('../src/utils/token-manager');
+
+function createTokenManager() {
+  return new TokenManager(fs.mkdtempSync(path.join(os.tmpdir(), 'icon-tokens-')));
+}
+
+describe('TokenManager.assignCodepoints', () => {
+  it('keeps assigned codepoints and continues after the highest', () => {
+    const tokenManager = createTokenManager();
+    
+    assert.deepEqual(tokenManager.assignCodepoints('acme', ['a', 'b']), { a: 0xe000, b: 0xe001 });
+    assert.deepEqual(tokenManager.assignCodepoints('acme', ['b', 'c', 'a']), { b: 0xe001, c: 0xe002, a: 0xe000 });
+    assert.deepEqual(tokenManager.assignCodepoints('other', ['a']), { a: 0xe000 });
+  });
+  
+  it('never reuses the codepoint of a deleted icon', () => {
+    const tokenManager = createTokenManager();
+    tokenManager.assignCodepoints('acme', ['a', 'b', 'c']);
+    tokenManager.removeIconToken('acme', 'c');
+    
+    assert.deepEqual(tokenManager.assignCodepoints('acme', ['a', 'b', 'd']), { a: 0xe000, b: 0xe001, d: 0xe003 });
+    assert.deepEqual(tokenManager.loadTokens().$extensions.codepoints, { acme: 'E003' });
+  });
+  
+  it('records the high-water mark of codepoints assigned before it was stored', () => {
+    const tokenManager = createTokenManager();
+    tokenManager.saveTokens({
+      icon: {
+        'acme-a': { value: 'acme/a.svg', type: 'asset', brand: 'acme', name: 'a', codepoint: 'E000' },
+        'acme-b': { value: 'acme/b.svg', type: 'asset', brand: 'acme', name: 'b', codepoint: 'E005' }
+      }
+    });
+    
+    tokenManager.assignCodepoints('acme', ['a', 'b']);
+    tokenManager.removeIconToken('acme', 'b');
+    
+    assert.deepEqual(tokenManager.assignCodepoints('acme', ['a', 'c']), { a: 0xe000, c: 0xe006 });
+  });
+});